@@ -0,0 +1,120 @@
+const VISUALLY_HIDDEN = {
+  border: 0,
+  clip: 'rect(0 0 0 0)',
+  height: '1px',
+  left: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  padding: 0,
+  position: 'fixed',
+  top: 0,
+  visibility: 'visible',
+  whiteSpace: 'nowrap',
+  width: '1px'
+}
+
+/**
+ * The canvas replaces the real images visually, so this keeps an equivalent
+ * in the DOM: a visually hidden list with one focusable button per item and a
+ * live region for announcing the current item.
+ */
+export default class Accessibility {
+  constructor ({ element, label, medias, onBlur, onFocus, onSelect }) {
+    this.element = element
+    this.label = label
+    this.medias = medias
+
+    this.onBlur = onBlur
+    this.onFocus = onFocus
+    this.onSelect = onSelect
+
+    this.createList()
+    this.createLiveRegion()
+  }
+
+  createList () {
+    this.list = document.createElement('ul')
+    this.list.setAttribute('aria-label', this.label)
+
+    Object.assign(this.list.style, VISUALLY_HIDDEN)
+
+    this.buttons = new Map()
+
+    this.medias.forEach(this.add, this)
+
+    this.element.appendChild(this.list)
+  }
+
+  add (media) {
+    const item = document.createElement('li')
+    const button = document.createElement('button')
+
+    button.type = 'button'
+    button.textContent = this.getLabel(media)
+
+    button.addEventListener('focus', _ => this.onFocus(media, this.isFocusVisible(button)))
+    button.addEventListener('blur', _ => this.onBlur(media))
+    button.addEventListener('click', _ => this.onSelect(media))
+
+    item.appendChild(button)
+
+    this.list.appendChild(item)
+    this.buttons.set(media, button)
+  }
+
+  /**
+   * Rebuilds the buttons after items were added, removed or reordered,
+   * keeping focus on the same item when it is still there.
+   */
+  update () {
+    const focused = this.medias.find(media => this.buttons.get(media) === document.activeElement)
+
+    this.list.innerHTML = ''
+    this.buttons.clear()
+
+    this.medias.forEach(this.add, this)
+
+    if (focused) {
+      this.focus(focused)
+    }
+  }
+
+  createLiveRegion () {
+    this.live = document.createElement('div')
+    this.live.setAttribute('aria-live', 'polite')
+    this.live.setAttribute('aria-atomic', 'true')
+
+    Object.assign(this.live.style, VISUALLY_HIDDEN)
+
+    this.element.appendChild(this.live)
+  }
+
+  getLabel (media) {
+    return media.alt || `${media.video ? 'Video' : 'Image'} ${media.index + 1}`
+  }
+
+  isFocusVisible (button) {
+    try {
+      return button.matches(':focus-visible')
+    } catch (error) {
+      return true
+    }
+  }
+
+  hasFocus () {
+    return this.list.contains(document.activeElement)
+  }
+
+  focus (media) {
+    this.buttons.get(media).focus({ preventScroll: true })
+  }
+
+  announce (media) {
+    this.live.textContent = `${this.getLabel(media)}, ${media.index + 1} of ${this.medias.length}`
+  }
+
+  destroy () {
+    this.list.remove()
+    this.live.remove()
+  }
+}
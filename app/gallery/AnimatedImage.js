@@ -0,0 +1,109 @@
+// Frame duration, in milliseconds, for frames that don't specify one.
+const DEFAULT_DURATION = 100
+
+/**
+ * Decodes an animated GIF or WebP with `ImageDecoder` and plays it onto a
+ * canvas that planes use as their texture. One frame is decoded ahead, so
+ * advancing never waits on the decoder.
+ */
+export default class AnimatedImage {
+  constructor (src) {
+    this.src = src
+
+    this.canvas = document.createElement('canvas')
+    this.context = this.canvas.getContext('2d')
+
+    this.frame = 0
+    this.count = 1
+    this.elapsed = 0
+    this.duration = DEFAULT_DURATION
+    this.next = null
+  }
+
+  load () {
+    return window.fetch(this.src).then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load image "${this.src}".`)
+      }
+
+      const type = response.headers.get('content-type') || 'image/gif'
+
+      this.decoder = new window.ImageDecoder({ data: response.body, type })
+
+      return this.decoder.completed
+    }).then(_ => {
+      this.count = this.decoder.tracks.selectedTrack.frameCount
+
+      return this.decode()
+    }).then(_ => {
+      this.draw()
+
+      return this.canvas
+    })
+  }
+
+  decode () {
+    const frameIndex = this.frame
+
+    this.frame = (this.frame + 1) % this.count
+
+    return this.decoder.decode({ frameIndex }).then(({ image }) => {
+      if (this.isDestroyed) {
+        image.close()
+
+        return
+      }
+
+      this.next = image
+    })
+  }
+
+  draw () {
+    const image = this.next
+
+    this.next = null
+
+    if (!this.canvas.width) {
+      this.canvas.width = image.displayWidth
+      this.canvas.height = image.displayHeight
+    }
+
+    this.context.drawImage(image, 0, 0)
+
+    // VideoFrame durations are in microseconds.
+    this.duration = image.duration ? image.duration / 1000 : DEFAULT_DURATION
+
+    image.close()
+
+    if (this.count > 1) {
+      this.decode().catch(_ => {})
+    }
+  }
+
+  /**
+   * Advances by the elapsed time, returning whether a new frame was drawn.
+   */
+  update (delta) {
+    if (!this.next) return false
+
+    this.elapsed += delta
+
+    if (this.elapsed < this.duration) return false
+
+    // Resuming after a long pause shows the next frame instead of catching up.
+    this.elapsed = this.elapsed < this.duration * 2 ? this.elapsed - this.duration : 0
+
+    this.draw()
+
+    return true
+  }
+
+  destroy () {
+    this.isDestroyed = true
+
+    if (this.next) this.next.close()
+    if (this.decoder) this.decoder.close()
+
+    this.next = null
+  }
+}
@@ -0,0 +1,366 @@
+import { Geometry, Mesh, Program, Texture } from 'ogl'
+
+import { deleteTexture, updateTextureRegion } from 'utils/gl'
+
+// Side, in pixels, of the atlas cell every texture is scaled into.
+const CELL_SIZE = 512
+
+// Largest atlas side, in pixels, capped by what the GPU supports.
+const MAX_ATLAS_SIZE = 4096
+
+// Number of atlas pages, matching the samplers of the instanced fragment shader.
+const MAX_PAGES = 4
+
+// Per instance attributes and their number of components.
+const INSTANCE_ATTRIBUTES = {
+  aOffset: 3,
+  aScale: 2,
+  aImageSizes: 2,
+  aAtlas: 4,
+  aColor: 3,
+  aState: 4
+}
+
+/**
+ * Draws every plane of a gallery in a single instanced call. Textures are
+ * scaled into the cells of up to four atlas pages, and each plane's
+ * position, scale, image size, cell and state are read from its `BatchedMedia`
+ * every frame into per instance attributes, uploaded only when they change.
+ *
+ * Plane effects share one set of uniforms, updated once per frame with the
+ * batch standing in for the media, its `expansion` being the largest one.
+ */
+export default class Batch {
+  constructor ({ effects, geometry, gl, scene, shaders }) {
+    this.effects = effects
+    this.scene = scene
+    this.shaders = shaders
+
+    this.medias = []
+    this.waiting = []
+    this.expansion = 0
+
+    this.canvas = document.createElement('canvas')
+    this.canvas.width = CELL_SIZE
+    this.canvas.height = CELL_SIZE
+
+    this.context = this.canvas.getContext('2d')
+
+    this.restore(gl, geometry)
+  }
+
+  /**
+   * Creates every GL resource, also after the context was lost: cells are
+   * handed out again as the medias re-upload their textures, and the medias
+   * waiting for one load again.
+   */
+  restore (gl, geometry) {
+    this.gl = gl
+    this.planeGeometry = geometry
+
+    this.size = Math.min(this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE), MAX_ATLAS_SIZE)
+    this.pages = []
+    this.cells = []
+    this.capacity = 0
+
+    this.empty = new Texture(this.gl)
+
+    this.createProgram()
+    this.createGeometry()
+
+    if (this.mesh) {
+      this.mesh.setParent(null)
+    }
+
+    this.mesh = new Mesh(this.gl, {
+      frustumCulled: false,
+      geometry: this.geometry,
+      program: this.program
+    })
+
+    this.mesh.setParent(this.scene)
+
+    this.waiting.splice(0).forEach(media => media.retry())
+  }
+
+  createProgram () {
+    this.program = new Program(this.gl, {
+      fragment: this.shaders.fragment,
+      vertex: this.shaders.vertex,
+      uniforms: {
+        tAtlas0: { value: this.empty },
+        tAtlas1: { value: this.empty },
+        tAtlas2: { value: this.empty },
+        tAtlas3: { value: this.empty },
+        uViewportSizes: { value: [0, 0] },
+        uEffects: { value: 1 },
+        uTime: { value: 0 },
+        uVelocity: { value: [0, 0] },
+        ...this.effects.reduce((uniforms, effect) => ({ ...uniforms, ...(effect.uniforms && effect.uniforms(this.gl)) }), {})
+      },
+      transparent: true
+    })
+  }
+
+  /**
+   * Instances share the plane's vertices, so growing only replaces the
+   * instance buffers, in powers of two.
+   */
+  createGeometry () {
+    const { attributes } = this.planeGeometry
+
+    this.capacity = Math.max(this.capacity, 2 ** Math.ceil(Math.log2(Math.max(this.medias.length, 1))))
+
+    const instances = {}
+
+    Object.entries(INSTANCE_ATTRIBUTES).forEach(([name, size]) => {
+      instances[name] = {
+        data: new Float32Array(this.capacity * size),
+        instanced: 1,
+        size
+      }
+    })
+
+    this.geometry = new Geometry(this.gl, {
+      index: attributes.index,
+      position: attributes.position,
+      uv: attributes.uv,
+      ...instances
+    })
+
+    this.geometry.setInstancedCount(this.medias.length)
+  }
+
+  setGeometry (geometry) {
+    this.planeGeometry = geometry
+
+    this.replaceGeometry()
+  }
+
+  replaceGeometry () {
+    const geometry = this.geometry
+
+    this.createGeometry()
+
+    this.mesh.geometry = this.geometry
+
+    this.removeGeometry(geometry)
+  }
+
+  /**
+   * Frees the instance buffers only, the others belong to the plane geometry.
+   */
+  removeGeometry (geometry) {
+    Object.values(geometry.VAOs).forEach(vao => this.gl.renderer.deleteVertexArray(vao))
+
+    Object.keys(INSTANCE_ATTRIBUTES).forEach(name => this.gl.deleteBuffer(geometry.attributes[name].buffer))
+  }
+
+  /**
+   * Medias.
+   */
+  add (media) {
+    this.medias.push(media)
+
+    if (this.medias.length > this.capacity) {
+      this.replaceGeometry()
+    }
+  }
+
+  remove (media) {
+    this.medias = this.medias.filter(item => item !== media)
+    this.waiting = this.waiting.filter(item => item !== media)
+
+    this.free(media.cell)
+  }
+
+  /**
+   * Atlas.
+   */
+  createPage () {
+    const texture = new Texture(this.gl, {
+      generateMipmaps: false,
+      height: this.size,
+      width: this.size
+    })
+
+    // Allocates the storage cells are uploaded into.
+    texture.update()
+
+    const page = this.pages.length
+    const count = Math.floor(this.size / CELL_SIZE)
+
+    for (let row = 0; row < count; row++) {
+      for (let column = 0; column < count; column++) {
+        const x = column * CELL_SIZE
+        const y = row * CELL_SIZE
+
+        // Inset by half a texel so filtering never picks up the neighbouring cells.
+        this.cells.push({
+          page,
+          rect: [(x + 0.5) / this.size, (y + 0.5) / this.size, (CELL_SIZE - 1) / this.size, (CELL_SIZE - 1) / this.size],
+          x,
+          y
+        })
+      }
+    }
+
+    this.program.uniforms[`tAtlas${page}`].value = texture
+
+    this.pages.push(texture)
+  }
+
+  /**
+   * Returns a free cell, or null when every page is full.
+   */
+  allocate () {
+    if (!this.cells.length && this.pages.length < MAX_PAGES) {
+      this.createPage()
+    }
+
+    return this.cells.shift() || null
+  }
+
+  /**
+   * Takes the cell of the farthest media off screen when every cell is in
+   * use. Null when all of them are on screen.
+   */
+  evict () {
+    const media = this.medias
+      .filter(item => item.cell && !item.isVisible)
+      .sort((a, b) => b.getDistance() - a.getDistance())[0]
+
+    if (!media) return null
+
+    const { cell } = media
+
+    // Taken before unloading, so the cell isn't handed to a waiting media.
+    media.cell = null
+    media.unload()
+
+    return cell
+  }
+
+  /**
+   * Queues a media that found every cell on screen until one is freed.
+   */
+  wait (media) {
+    if (!this.waiting.includes(media)) {
+      this.waiting.push(media)
+    }
+  }
+
+  /**
+   * A freed cell lets the nearest waiting media load again, the others
+   * keep waiting instead of trying every frame.
+   */
+  free (cell) {
+    if (!cell) return
+
+    this.cells.push(cell)
+
+    const media = this.waiting.sort((a, b) => a.getDistance() - b.getDistance()).shift()
+
+    if (media) {
+      media.retry()
+    }
+  }
+
+  upload (cell, source) {
+    this.context.drawImage(source, 0, 0, CELL_SIZE, CELL_SIZE)
+
+    updateTextureRegion(this.gl, this.pages[cell.page], this.canvas, cell.x, cell.y)
+  }
+
+  /**
+   * Approximate GPU memory used by a cell in bytes.
+   */
+  getCellBytes () {
+    return CELL_SIZE * CELL_SIZE * 4
+  }
+
+  /**
+   * Most bytes the atlases hold, less one page kept free so textures coming
+   * into view rarely have to wait for an eviction.
+   */
+  getMaxBytes () {
+    const count = Math.floor(this.size / CELL_SIZE) ** 2
+
+    return (MAX_PAGES - 1) * count * this.getCellBytes()
+  }
+
+  /**
+   * Update.
+   */
+  update (state) {
+    const { uniforms } = this.program
+
+    uniforms.uEffects.value = state.hasEffects ? 1 : 0
+    uniforms.uTime.value = state.time
+    uniforms.uVelocity.value = [state.velocityX / state.screen.width, state.velocityY / state.screen.height]
+    uniforms.uViewportSizes.value = [state.viewport.width, state.viewport.height]
+
+    this.expansion = this.medias.reduce((expansion, media) => Math.max(expansion, media.expansion), 0)
+
+    if (state.hasEffects) {
+      this.effects.forEach(effect => {
+        if (effect.update) effect.update(uniforms, state, this)
+      })
+    }
+
+    this.updateInstances()
+  }
+
+  /**
+   * Expanding planes are drawn last, over the others.
+   */
+  updateInstances () {
+    const medias = this.medias.filter(media => !media.expansion).concat(this.medias.filter(media => media.expansion))
+
+    medias.forEach((media, index) => {
+      const { cell, plane } = media
+
+      this.write('aOffset', index, [plane.position.x, plane.position.y, plane.position.z])
+      this.write('aScale', index, [plane.scale.x, plane.scale.y])
+      this.write('aImageSizes', index, media.imageSizes)
+      this.write('aAtlas', index, cell ? cell.rect : [0, 0, 0, 0])
+      this.write('aColor', index, media.color)
+      this.write('aState', index, [media.alpha * media.appearance, cell ? media.fade : 0, media.isFocused ? 1 : 0, cell ? cell.page : 0])
+    })
+
+    this.geometry.setInstancedCount(medias.length)
+  }
+
+  write (name, index, values) {
+    const attribute = this.geometry.attributes[name]
+    const offset = index * attribute.size
+
+    values.forEach((value, component) => {
+      value = Math.fround(value)
+
+      if (attribute.data[offset + component] === value) return
+
+      attribute.data[offset + component] = value
+      attribute.needsUpdate = true
+    })
+  }
+
+  /**
+   * Destroy.
+   */
+  destroy () {
+    this.mesh.setParent(null)
+
+    this.effects.forEach(effect => {
+      if (effect.destroy) effect.destroy(this.program.uniforms, this.gl)
+    })
+
+    this.program.remove()
+
+    this.removeGeometry(this.geometry)
+
+    this.pages.forEach(texture => deleteTexture(this.gl, texture))
+
+    deleteTexture(this.gl, this.empty)
+  }
+}
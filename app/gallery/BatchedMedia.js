@@ -0,0 +1,150 @@
+import { Transform } from 'ogl'
+
+import Caption from './Caption'
+import Media from './Media'
+
+/**
+ * A `Media` drawn by a `Batch` as one instance among all the others. The
+ * plane is a bare transform, sized, positioned and wrapped by the same code,
+ * that the batch reads every frame, and the texture lives in an atlas cell.
+ * Placeholder images aren't supported, planes show their color until loaded.
+ */
+export default class BatchedMedia extends Media {
+  createMesh () {
+    this.cell = null
+    this.color = this.getColor()
+    this.imageSizes = [Number(this.asset.getAttribute('width')) || 1, Number(this.asset.getAttribute('height')) || 1]
+
+    this.plane = new Transform()
+    this.plane.setParent(this.scene)
+
+    this.batch.add(this)
+  }
+
+  createCaption (options) {
+    this.caption = new Caption({
+      element: this.element,
+      geometry: this.geometry,
+      gl: this.gl,
+      index: this.index,
+      options,
+      program: this.batch.program,
+      scene: this.scene,
+      shaders: this.shaders
+    })
+  }
+
+  /**
+   * Loading.
+   */
+  loadPlaceholder () {}
+
+  /**
+   * Takes a free cell, or the farthest one off screen. When every cell is on
+   * screen the item keeps its color and waits for the batch to free one.
+   */
+  upload (source) {
+    this.cell = this.batch.allocate() || this.batch.evict()
+
+    if (!this.cell) {
+      this.state = 'waiting'
+      this.request = null
+
+      this.batch.wait(this)
+
+      throw new Error(`No room left in the texture atlas for "${this.source}".`)
+    }
+
+    this.drawable = source
+    this.imageSizes = this.size
+
+    this.batch.upload(this.cell, source)
+  }
+
+  retry () {
+    if (this.state === 'waiting') {
+      this.state = 'idle'
+    }
+  }
+
+  refresh () {
+    this.batch.upload(this.cell, this.drawable)
+  }
+
+  // Cells have a fixed size, so a larger rendition would be scaled back down.
+  upgrade () {}
+
+  unload () {
+    if (this.state === 'idle' || this.state === 'error' || this.state === 'waiting') return
+
+    this.release()
+
+    this.batch.free(this.cell)
+
+    this.cell = null
+    this.drawable = null
+    this.state = 'idle'
+    this.fade = 0
+    this.request = null
+  }
+
+  getBytes () {
+    return this.cell ? this.batch.getCellBytes() : 0
+  }
+
+  /**
+   * Update.
+   */
+  updateEffects () {}
+
+  render () {}
+
+  getDisplacement (x, y) {
+    const { uniforms } = this.batch.program
+
+    if (!uniforms.uEffects.value) return 0
+
+    return this.effects.reduce((z, effect) => effect.displace ? z + effect.displace(x, y, uniforms, this) : z, 0)
+  }
+
+  setGeometry (geometry) {
+    this.geometry = geometry
+
+    if (this.caption) {
+      this.caption.mesh.geometry = geometry
+    }
+  }
+
+  /**
+   * The batch was restored first, with an empty atlas.
+   */
+  restore (gl, geometry) {
+    this.gl = gl
+    this.geometry = geometry
+
+    this.cell = null
+
+    if (this.state === 'loaded') {
+      this.upload(this.drawable)
+    }
+
+    this.restoreCaption()
+  }
+
+  /**
+   * Destroy.
+   */
+  destroy () {
+    this.isDestroyed = true
+
+    this.plane.setParent(null)
+
+    this.batch.remove(this)
+
+    if (this.caption) {
+      this.caption.destroy()
+    }
+
+    this.release()
+  }
+}
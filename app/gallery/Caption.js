@@ -0,0 +1,186 @@
+import { Mesh, Program, Texture } from 'ogl'
+
+import { deleteTexture } from 'utils/gl'
+
+import fragment from './shaders/text.glsl'
+
+const DEFAULTS = {
+  color: '#fff',
+  family: 'sans-serif',
+  index: true,
+  size: 14,
+  weight: 400
+}
+
+// Line height as a multiple of the font size.
+const LINE_HEIGHT = 1.4
+
+// Space between the plane and its caption, as a multiple of the font size.
+const MARGIN = 0.8
+
+// Opacity of secondary lines such as the index number and credit.
+const SECONDARY_OPACITY = 0.6
+
+/**
+ * Text drawn into a canvas and shown on a plane under its item, following
+ * it through wraps, transitions and the vertex effects it shares uniforms
+ * with. Lines are the index number, the `data-caption` attribute or the
+ * `<figcaption>`, and the `data-credit` attribute.
+ */
+export default class Caption {
+  constructor ({ element, geometry, gl, index, options, program, scene, shaders }) {
+    this.element = element
+    this.gl = gl
+    this.index = index
+    this.options = { ...DEFAULTS, ...options }
+
+    this.canvas = document.createElement('canvas')
+    this.context = this.canvas.getContext('2d')
+
+    this.texture = new Texture(this.gl, {
+      generateMipmaps: false
+    })
+
+    this.mesh = new Mesh(this.gl, {
+      geometry,
+      program: new Program(this.gl, {
+        fragment,
+        vertex: shaders.vertex,
+        uniforms: {
+          ...program.uniforms,
+          tMap: { value: this.texture },
+          uAlpha: { value: 1 }
+        },
+        transparent: true
+      })
+    })
+
+    this.mesh.setParent(scene)
+
+    if (document.fonts) {
+      document.fonts.load(this.getFont()).then(_ => this.render()).catch(_ => {})
+    }
+  }
+
+  getFont () {
+    const { family, size, weight } = this.options
+
+    return `${weight} ${size}px ${family}`
+  }
+
+  getLines () {
+    const figcaption = this.element.querySelector('figcaption')
+    const caption = this.element.dataset.caption || (figcaption ? figcaption.textContent.trim() : '')
+    const credit = this.element.dataset.credit
+
+    return [
+      this.options.index && { text: String(this.index + 1).padStart(2, '0'), opacity: SECONDARY_OPACITY },
+      caption && { text: caption, opacity: 1 },
+      credit && { text: credit, opacity: SECONDARY_OPACITY }
+    ].filter(Boolean)
+  }
+
+  /**
+   * Breaks text into lines no wider than the item, at spaces.
+   */
+  wrap (text) {
+    const lines = []
+
+    let line = ''
+
+    text.split(/\s+/).forEach(word => {
+      const next = line ? `${line} ${word}` : word
+
+      if (line && this.context.measureText(next).width > this.width) {
+        lines.push(line)
+
+        line = word
+      } else {
+        line = next
+      }
+    })
+
+    return line ? [...lines, line] : lines
+  }
+
+  render () {
+    if (this.isDestroyed || !this.width) return
+
+    const { color, size } = this.options
+    const ratio = Math.min(window.devicePixelRatio, 2)
+    const lineHeight = size * LINE_HEIGHT
+
+    this.context.font = this.getFont()
+
+    const lines = this.getLines().flatMap(({ text, opacity }) => this.wrap(text).map(text => ({ text, opacity })))
+
+    this.height = lines.length * lineHeight
+    this.mesh.visible = lines.length > 0
+
+    if (!lines.length) return
+
+    this.canvas.width = Math.ceil(this.width * ratio)
+    this.canvas.height = Math.ceil(this.height * ratio)
+
+    // Resizing the canvas resets its state.
+    this.context.scale(ratio, ratio)
+    this.context.font = this.getFont()
+    this.context.fillStyle = color
+    this.context.textBaseline = 'middle'
+
+    lines.forEach(({ text, opacity }, index) => {
+      this.context.globalAlpha = opacity
+      this.context.fillText(text, 0, lineHeight * (index + 0.5))
+    })
+
+    this.texture.image = this.canvas
+    this.texture.needsUpdate = true
+  }
+
+  /**
+   * Places the text under the plane, left aligned, converting its CSS pixel
+   * size to world units.
+   */
+  update (media) {
+    if (media.index !== this.index) {
+      this.index = media.index
+
+      this.render()
+    }
+
+    const { plane, screen, viewport } = media
+    const margin = this.options.size * MARGIN * viewport.height / screen.height
+
+    this.mesh.scale.x = this.width * viewport.width / screen.width
+    this.mesh.scale.y = this.height * viewport.height / screen.height
+
+    this.mesh.position.x = plane.position.x - plane.scale.x / 2 + this.mesh.scale.x / 2
+    this.mesh.position.y = plane.position.y - plane.scale.y / 2 - margin - this.mesh.scale.y / 2
+
+    this.mesh.renderOrder = plane.renderOrder
+    this.mesh.program.uniforms.uAlpha.value = media.alpha * media.appearance * (1 - media.expansion)
+  }
+
+  /**
+   * Events.
+   */
+  onResize (width) {
+    if (width === this.width) return
+
+    this.width = width
+
+    this.render()
+  }
+
+  /**
+   * Destroy.
+   */
+  destroy () {
+    this.isDestroyed = true
+
+    this.mesh.setParent(null)
+    this.mesh.program.remove()
+
+    deleteTexture(this.gl, this.texture)
+  }
+}
@@ -0,0 +1,88 @@
+import AutoBind from 'auto-bind'
+
+/**
+ * Mirrors the current item, and whether it is open, in the URL hash or
+ * query as `<key>=<index>` and `<key>-open=1`, leaving other parameters
+ * alone, and reports back and forward navigation.
+ */
+export default class DeepLink {
+  constructor ({ key, mode, onNavigate }) {
+    AutoBind(this)
+
+    this.key = key
+    this.openKey = `${key}-open`
+    this.mode = mode
+    this.onNavigate = onNavigate
+
+    this.isPushed = false
+
+    window.addEventListener('popstate', this.onPopState)
+  }
+
+  getParams () {
+    const value = this.mode === 'query' ? window.location.search : window.location.hash
+
+    return new URLSearchParams(value.slice(1))
+  }
+
+  /**
+   * Returns `{ index, isOpen }`, or null when the URL has no item.
+   */
+  read () {
+    const params = this.getParams()
+    const index = parseInt(params.get(this.key), 10)
+
+    if (isNaN(index) || index < 0) return null
+
+    return {
+      index,
+      isOpen: params.has(this.openKey)
+    }
+  }
+
+  /**
+   * Replaces the current history entry, or adds one with `isPush` so going
+   * back undoes the change.
+   */
+  write ({ index, isOpen }, isPush = false) {
+    const params = this.getParams()
+
+    params.set(this.key, index)
+
+    if (isOpen) {
+      params.set(this.openKey, 1)
+    } else {
+      params.delete(this.openKey)
+    }
+
+    const { hash, pathname, search } = window.location
+    const url = this.mode === 'query' ? `${pathname}?${params}${hash}` : `${pathname}${search}#${params}`
+
+    if (isPush) {
+      window.history.pushState(null, '', url)
+
+      this.isPushed = true
+    } else {
+      window.history.replaceState(window.history.state, '', url)
+    }
+  }
+
+  /**
+   * Returns to the entry before the last one added.
+   */
+  back () {
+    this.isPushed = false
+
+    window.history.back()
+  }
+
+  onPopState () {
+    this.isPushed = false
+
+    this.onNavigate(this.read())
+  }
+
+  destroy () {
+    window.removeEventListener('popstate', this.onPopState)
+  }
+}
@@ -0,0 +1,169 @@
+import { Transform } from 'ogl'
+
+import Media from './Media'
+
+/**
+ * Stands in for `Media` when WebGL is unavailable. The plane is a bare
+ * transform, sized, positioned and wrapped by the same code, and the item's
+ * own figure is moved onto it with a CSS transform instead of being drawn.
+ */
+export default class DomMedia extends Media {
+  createMesh () {
+    this.elementStyle = this.element.style.cssText
+    this.assetStyle = this.asset.style.cssText
+
+    Object.assign(this.asset.style, {
+      height: '100%',
+      objectFit: 'cover',
+      width: '100%'
+    })
+
+    const { color } = this.element.dataset.color ? this.element.dataset : this.asset.dataset
+
+    if (color) {
+      this.element.style.backgroundColor = color
+    }
+
+    this.plane = new Transform()
+    this.plane.setParent(this.scene)
+  }
+
+  // The figure's own caption stays visible and moves with it.
+  createCaption () {}
+
+  createBounds () {
+    this.element.style.transform = ''
+
+    super.createBounds()
+  }
+
+  /**
+   * Loading.
+   */
+  loadPlaceholder (src) {
+    Object.assign(this.element.style, {
+      backgroundImage: `url("${src}")`,
+      backgroundPosition: 'center',
+      backgroundSize: 'cover'
+    })
+  }
+
+  load () {
+    if (this.state !== 'idle') return this.request
+
+    this.state = 'loading'
+
+    this.request = this.loader.add(this.source, new Promise((resolve, reject) => {
+      const { asset } = this
+
+      if (this.video) {
+        asset.loop = true
+        asset.muted = true
+        asset.playsInline = true
+
+        asset.onloadeddata = _ => resolve(asset)
+
+        this.player = asset
+      } else if (asset.complete && asset.naturalWidth && !asset.dataset.src) {
+        resolve(asset)
+
+        return
+      } else {
+        asset.onload = _ => resolve(asset)
+      }
+
+      asset.onerror = _ => reject(new Error(`Failed to load "${this.source}".`))
+      asset.src = this.source
+
+      if (asset.dataset.srcset) {
+        asset.srcset = asset.dataset.srcset
+      }
+    })).then(asset => {
+      if (this.isDestroyed) return
+
+      this.state = 'loaded'
+      this.size = [asset.naturalWidth || asset.videoWidth, asset.naturalHeight || asset.videoHeight]
+    }, error => {
+      this.state = 'error'
+
+      if (!this.video) {
+        this.loadFallback()
+      }
+
+      throw error
+    })
+
+    return this.request
+  }
+
+  // The fallback image replaces the figure's own.
+  upload (image) {
+    this.asset.src = image.src
+  }
+
+  // The browser manages the memory of images in the page, and picks from their `srcset`.
+  unload () {}
+
+  upgrade () {}
+
+  getBytes () {
+    return 0
+  }
+
+  /**
+   * Update.
+   */
+  updateEffects () {}
+
+  updatePlayback () {
+    if (this.state !== 'loaded') return
+
+    if (this.isVisible) {
+      this.play()
+    } else {
+      this.pause()
+    }
+  }
+
+  /**
+   * Converts the plane from world units back to pixels, relative to where
+   * the figure sits in the layout. The figure shows its placeholder while
+   * the image fades in over it.
+   */
+  render () {
+    const { bounds, screen, viewport } = this
+    const { position, scale } = this.plane
+
+    const x = (position.x / viewport.width + 0.5) * screen.width - bounds.left - bounds.width / 2
+    const y = (0.5 - position.y / viewport.height) * screen.height - bounds.top - bounds.height / 2
+
+    const scaleX = bounds.width ? scale.x * screen.width / viewport.width / bounds.width : 1
+    const scaleY = bounds.height ? scale.y * screen.height / viewport.height / bounds.height : 1
+
+    this.asset.style.opacity = this.state === 'loaded' ? this.fade : 0
+
+    Object.assign(this.element.style, {
+      opacity: this.alpha * this.appearance,
+      outline: this.isFocused ? '2px solid #fff' : '',
+      transform: `translate3d(${x}px, ${y}px, 0) scale(${scaleX}, ${scaleY})`
+    })
+  }
+
+  getDisplacement () {
+    return 0
+  }
+
+  /**
+   * Destroy.
+   */
+  destroy () {
+    this.isDestroyed = true
+
+    this.pause()
+
+    this.plane.setParent(null)
+
+    this.element.style.cssText = this.elementStyle
+    this.asset.style.cssText = this.assetStyle
+  }
+}
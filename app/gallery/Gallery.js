@@ -0,0 +1,2332 @@
+import { Camera, Transform, Plane, Post, Raycast, Vec2 } from 'ogl'
+import AutoBind from 'auto-bind'
+import NormalizeWheel from 'normalize-wheel'
+
+import EventEmitter from 'utils/EventEmitter'
+import { deleteRenderTarget } from 'utils/gl'
+import { clamp, easeInOutCubic, lerp, mod } from 'utils/math'
+
+import Accessibility from './Accessibility'
+import Batch from './Batch'
+import BatchedMedia from './BatchedMedia'
+import DeepLink from './DeepLink'
+import DomMedia from './DomMedia'
+import Governor, { TIERS } from './Governor'
+import Loader from './Loader'
+import Media from './Media'
+import Provider from './Provider'
+import Stage from './Stage'
+import { compose, getEffect } from './effects'
+import { alternating, justified, linear, masonry } from './layout'
+import { detectFormats } from './sources'
+
+import fragment from './shaders/fragment.glsl'
+import instancedFragment from './shaders/instanced-fragment.glsl'
+import instancedVertex from './shaders/instanced-vertex.glsl'
+import vertex from './shaders/vertex.glsl'
+
+const LAYOUTS = {
+  alternating,
+  justified,
+  linear,
+  masonry
+}
+
+const ORIENTATIONS = {
+  vertical: {
+    geometry: { heightSegments: 10 }
+  },
+  horizontal: {
+    geometry: { widthSegments: 20 }
+  },
+  grid: {
+    geometry: { widthSegments: 20, heightSegments: 20 }
+  }
+}
+
+// Pointer travel in pixels under which a press and release count as a tap.
+const TAP_THRESHOLD = 10
+
+// Mouse events browsers emulate after a touch arrive within this many milliseconds.
+const TOUCH_MOUSE_DELAY = 1000
+
+// Scroll ease used under prefers-reduced-motion, close to jumping straight to the target.
+const REDUCED_MOTION_EASE = 0.5
+
+// Distance, in pixels, under which the scroll settles on its target, so the
+// planes can come to rest instead of creeping towards it.
+const SCROLL_REST = 0.01
+
+// Elements whose own clicks should never select the plane underneath them.
+const INTERACTIVE = 'a, button, input, label, select, textarea, [role="button"]'
+
+// Window, in milliseconds, of input samples used to measure flick velocity.
+const VELOCITY_WINDOW = 100
+
+// Idle time, in milliseconds, after which a burst of wheel events is over.
+const WHEEL_END_DELAY = 150
+
+// Interval, in milliseconds, at which the URL follows the current item.
+const LOCATION_INTERVAL = 250
+
+// Item steps for keys that navigate relative to the current item.
+const KEY_STEPS = {
+  ArrowDown: 1,
+  ArrowRight: 1,
+  ArrowUp: -1,
+  ArrowLeft: -1
+}
+
+const DEFAULTS = {
+  container: null,
+  stage: null,
+  captureThreshold: 0.5,
+  scrollBounds: null,
+  pageScroll: 0,
+  orientation: 'vertical',
+  selector: 'figure',
+  items: null,
+  layout: null,
+  itemSize: 0.5,
+  gap: 0.05,
+  columns: 3,
+  autoScroll: true,
+  speed: 2,
+  direction: 'forward',
+  ease: 0.05,
+  snap: false,
+  snapAlign: 'center',
+  snapInterval: 3000,
+  friction: 0.9,
+  reducedMotion: true,
+  preloadDistance: 1,
+  maxConcurrentLoads: 4,
+  memoryBudget: 256,
+  timeout: 15000,
+  fallback: null,
+  revealCount: null,
+  effects: ['bend'],
+  captions: null,
+  batch: false,
+  quality: 'auto',
+  expandOnSelect: true,
+  expandDuration: 800,
+  history: false,
+  historyKey: 'item',
+  label: 'Gallery'
+}
+
+export default class Gallery extends EventEmitter {
+  /**
+   * @param {HTMLElement} element Root element whose bounds define the length of one loop.
+   * @param {Object} options
+   * @param {HTMLElement} options.container Element the gallery is shown in, the whole window by default.
+   * @param {Stage} options.stage Renderer shared with other galleries, instead of one of its own.
+   * @param {Number} options.captureThreshold Fraction of the container that has to be in view for the gallery
+   * to take wheel and touch input away from the page.
+   * @param {Array} options.scrollBounds Scroll range as `[min, max]` in pixels. At either end, input pushing
+   * further is released to the page.
+   * @param {Number} options.pageScroll Gallery pixels scrolled per pixel the page scrolls its container by.
+   * Wheel input and touch gestures along the page are then left to the page.
+   * @param {String} options.orientation Scroll axis, 'vertical' or 'horizontal', or 'grid' to pan and wrap on both.
+   * @param {String} options.selector Selector matching each item inside the root, each containing an `<img>`.
+   * @param {Array|Function} options.items Items as `{ src, srcset, renditions, type, width, height, alt, caption, credit }` to build the gallery from
+   * instead of the root's markup, or a function called with a page index resolving to `{ items, hasMore }`.
+   * @param {String|Function} options.layout How the engine places items: 'linear', 'masonry', 'alternating',
+   * 'justified' or a custom strategy. Defaults to 'linear' for `items`, and to the CSS layout for markup.
+   * @param {Number} options.itemSize Size of laid out items across the scroll axis, as a fraction of the root.
+   * @param {Number} options.gap Space between laid out items, as a fraction of the root across the scroll axis.
+   * @param {Number} options.columns Number of lanes in the masonry layout.
+   * @param {Boolean} options.autoScroll Whether the gallery scrolls on its own.
+   * @param {Number} options.speed Auto-scroll distance added to the target every frame.
+   * @param {String} options.direction Initial auto-scroll direction, 'forward' or 'backward'.
+   * @param {Number} options.ease Interpolation factor between the current and target scroll.
+   * @param {Boolean} options.snap Whether scrolling settles with an item aligned after each gesture.
+   * @param {String} options.snapAlign Item alignment used by snapping and navigation: 'start', 'center' or 'end'.
+   * @param {Number} options.snapInterval Delay in milliseconds between items while auto-scrolling in snap mode.
+   * @param {Number} options.friction Per-frame velocity retained by a flick before snapping, between 0 and 1.
+   * @param {Boolean} options.reducedMotion Whether to honor `prefers-reduced-motion: reduce`.
+   * @param {Number} options.preloadDistance How far outside the viewport, in viewports, textures start loading.
+   * @param {Number} options.maxConcurrentLoads Maximum number of textures downloading at once.
+   * @param {Number} options.memoryBudget Texture memory, in megabytes, above which off-screen textures are evicted.
+   * @param {Number} options.timeout Milliseconds before an item that hasn't loaded fails, 0 to wait forever.
+   * @param {String} options.fallback Image shown by items that fail to load, instead of their color.
+   * @param {Number} options.revealCount Number of items nearest the viewport 'ready' waits for, every visible
+   * item by default.
+   * @param {Array} options.effects Plane and post-processing effects, by registered name or as effect objects,
+   * e.g. ['bend', 'rgb-shift'].
+   * @param {Boolean|Object} options.captions Whether to render each item's index, caption and credit as WebGL text
+   * under its plane, or the text style as `{ color, family, size, weight, index }`.
+   * @param {Boolean} options.batch Whether to draw all planes in one instanced call, from texture atlases.
+   * @param {String|Number} options.quality Rendering quality tier, from 0 to 3, or 'auto' to step between them
+   * following the frame rate.
+   * @param {Boolean} options.expandOnSelect Whether selecting an item opens it fullscreen.
+   * @param {Number} options.expandDuration Duration of the open and close transition in milliseconds.
+   * @param {String|Boolean} options.history Where to keep the current and open item in the URL, 'hash' or 'query'.
+   * @param {String} options.historyKey URL parameter holding the current item's index.
+   * @param {String} options.label Accessible name of the list of items exposed to assistive technology.
+   *
+   * Emits 'scroll', 'directionchange', 'itementer', 'itemleave', 'wrap',
+   * 'select', 'hoverenter', 'hoverleave', 'open', 'close', 'autoscrollchange',
+   * 'itemload', 'itemerror', 'ready', 'pageload', 'pageerror', 'contextlost',
+   * 'contextrestored', 'qualitychange' and 'progress'.
+   */
+  constructor (element, options = {}) {
+    super()
+
+    AutoBind(this)
+
+    this.element = element
+    this.options = { ...DEFAULTS, ...options }
+
+    if (!ORIENTATIONS[this.options.orientation]) {
+      throw new Error(`Unknown gallery orientation "${this.options.orientation}".`)
+    }
+
+    if (typeof this.options.layout === 'string' && !LAYOUTS[this.options.layout]) {
+      throw new Error(`Unknown gallery layout "${this.options.layout}".`)
+    }
+
+    // Grids scroll along X like horizontal galleries, plus a second scroll along Y.
+    this.isGrid = this.options.orientation === 'grid'
+    this.isHorizontal = this.options.orientation !== 'vertical'
+
+    this.effects = this.options.effects.map(effect => typeof effect === 'string' ? getEffect(effect) : effect)
+
+    this.scroll = {
+      ease: this.options.ease,
+      current: 0,
+      target: 0,
+      last: 0
+    }
+
+    this.cross = this.isGrid ? { current: 0, target: 0, last: 0 } : null
+
+    this.autoScroll = this.options.autoScroll
+    this.speed = this.options.direction === 'backward' ? -this.options.speed : this.options.speed
+
+    this.samples = []
+    this.sizes = new WeakMap()
+    this.autoScrollTime = 0
+    this.isAutoScrollActive = false
+    this.location = null
+    this.locationTime = 0
+    this.pageOffset = null
+
+    this.isPaused = false
+    this.isDestroyed = false
+    this.isReady = false
+    this.isContextLost = false
+
+    this.container = this.options.container
+
+    this.createQuality()
+    this.createRenderer()
+    this.createCamera()
+    this.createScene()
+    this.createRaycast()
+    this.createShaders()
+    this.createPost()
+    this.createReducedMotion()
+
+    this.onResize()
+
+    this.createGeometry()
+    this.createBatch()
+    this.createLoader()
+    this.createMedias()
+    this.createAccessibility()
+    this.createDeepLink()
+
+    this.addEventListeners()
+
+    this.stage.add(this)
+  }
+
+  createQuality () {
+    this.isQualityAuto = this.options.quality === 'auto'
+    this.quality = this.isQualityAuto ? TIERS.length - 1 : clamp(0, TIERS.length - 1, Math.round(this.options.quality))
+
+    this.governor = new Governor({
+      tier: this.quality
+    })
+  }
+
+  /**
+   * Draws through the given stage, or one of its own. Without a WebGL
+   * context the gallery falls back to moving the figures themselves, see
+   * `DomMedia`.
+   */
+  createRenderer () {
+    this.isStageOwner = !this.options.stage
+    this.stage = this.options.stage || new Stage({ dpr: this.getPixelRatio() })
+
+    this.renderer = this.stage.renderer
+    this.isFallback = !this.renderer
+    this.gl = this.renderer ? this.renderer.gl : null
+  }
+
+  createCamera () {
+    this.camera = new Camera(this.gl)
+    this.camera.fov = 45
+    this.camera.position.z = 5
+  }
+
+  createScene () {
+    this.scene = new Transform()
+  }
+
+  createRaycast () {
+    this.raycast = new Raycast()
+  }
+
+  /**
+   * Plane effects are compiled into every plane's program, so the shaders
+   * are composed once and shared.
+   */
+  createShaders () {
+    const context = {
+      isGrid: this.isGrid,
+      isHorizontal: this.isHorizontal,
+      orientation: this.options.orientation
+    }
+
+    this.planeEffects = this.effects.filter(effect => effect.type === 'plane')
+
+    this.shaders = {
+      fragment: compose(fragment, 'fragment', this.planeEffects, context),
+      vertex: compose(vertex, 'vertex', this.planeEffects, context)
+    }
+
+    if (this.options.batch) {
+      this.batchShaders = {
+        fragment: compose(instancedFragment, 'fragment', this.planeEffects, context),
+        vertex: compose(instancedVertex, 'vertex', this.planeEffects, context)
+      }
+    }
+  }
+
+  createPost () {
+    const effects = this.effects.filter(effect => effect.type === 'post')
+
+    if (this.isFallback || !effects.length) return
+
+    this.resolution = {
+      value: new Vec2()
+    }
+
+    this.post = new Post(this.gl)
+
+    this.passes = effects.map(effect => ({
+      effect,
+      pass: this.post.addPass({
+        fragment: effect.fragment,
+        uniforms: {
+          uResolution: this.resolution,
+          uTime: { value: 0 },
+          uVelocity: { value: [0, 0] },
+          ...(effect.uniforms && effect.uniforms(this.gl))
+        }
+      })
+    }))
+  }
+
+  createReducedMotion () {
+    this.isReducedMotion = false
+
+    if (!this.options.reducedMotion || !window.matchMedia) return
+
+    this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)')
+    this.isReducedMotion = this.reducedMotionQuery.matches
+  }
+
+  createGeometry () {
+    if (this.isFallback) return
+
+    const { geometry } = ORIENTATIONS[this.options.orientation]
+    const { segments } = TIERS[this.quality]
+
+    this.planeGeometry = new Plane(this.gl, {
+      heightSegments: Math.max(Math.round((geometry.heightSegments || 1) * segments), 1),
+      widthSegments: Math.max(Math.round((geometry.widthSegments || 1) * segments), 1)
+    })
+  }
+
+  createBatch () {
+    if (!this.options.batch || this.isFallback) return
+
+    this.batch = new Batch({
+      effects: this.planeEffects,
+      geometry: this.planeGeometry,
+      gl: this.gl,
+      scene: this.scene,
+      shaders: this.batchShaders
+    })
+  }
+
+  createMedias () {
+    this.elementStyle = this.element.style.cssText
+
+    if (this.isFallback) {
+      this.element.style.visibility = 'visible'
+    }
+
+    if (this.options.items) {
+      this.createItems()
+
+      return
+    }
+
+    this.mediasElements = this.element.querySelectorAll(this.options.selector)
+
+    if (this.options.layout) {
+      this.createLayout()
+    }
+
+    this.medias = Array.from(this.mediasElements).map(this.createMedia)
+  }
+
+  /**
+   * Takes over positioning the root's own figures from the stylesheet,
+   * keeping their styles to restore on destroy.
+   */
+  createLayout () {
+    this.layoutStyles = Array.from(this.mediasElements).map(element => element.style.cssText)
+
+    if (window.getComputedStyle(this.element).position === 'static') {
+      this.element.style.position = 'relative'
+    }
+
+    this.mediasElements.forEach(element => {
+      element.style.margin = 0
+      element.style.position = 'absolute'
+    })
+
+    this.measure()
+  }
+
+  /**
+   * One loader for every asset, that the page can preload through as well.
+   * The fallback image is requested once, up front, for all items, and the
+   * image formats renditions can pick from are probed. Textures wait for
+   * the probe, as upgrades only ever move to wider renditions, never to a
+   * better format, so the first ones would keep the older format.
+   */
+  createLoader () {
+    this.loader = new Loader({
+      timeout: this.options.timeout
+    })
+
+    this.fallback = this.options.fallback ? this.loader.load(this.options.fallback) : null
+
+    if (this.fallback) {
+      this.fallback.catch(_ => {})
+    }
+
+    this.progress = null
+    this.isFormatsDetected = false
+
+    detectFormats().then(_ => {
+      this.isFormatsDetected = true
+    })
+  }
+
+  createMedia (element, index) {
+    const Constructor = this.isFallback ? DomMedia : this.batch ? BatchedMedia : Media
+
+    let media = new Constructor({
+      batch: this.batch,
+      caption: this.options.captions === true ? {} : this.options.captions,
+      crossLength: this.isGrid ? this.getCrossWorldLength() : 0,
+      effects: this.planeEffects,
+      element,
+      fallback: this.fallback,
+      geometry: this.planeGeometry,
+      gl: this.gl,
+      index,
+      length: this.getWorldLength(index),
+      loader: this.loader,
+      orientation: this.options.orientation,
+      scene: this.scene,
+      screen: this.screen,
+      shaders: this.shaders,
+      viewport: this.viewport
+    })
+
+    return media
+  }
+
+  /**
+   * Data driven galleries own their markup: every item gets a generated
+   * figure, positioned by the engine, that the planes are measured from.
+   */
+  createItems () {
+    this.items = []
+    this.itemElements = []
+    this.medias = []
+
+    if (window.getComputedStyle(this.element).position === 'static') {
+      this.element.style.position = 'relative'
+    }
+
+    if (!this.isFallback) {
+      this.element.style.visibility = 'hidden'
+    }
+
+    if (typeof this.options.items === 'function') {
+      this.provider = new Provider(this.options.items)
+    } else {
+      this.insertItems(this.options.items, 0)
+    }
+  }
+
+  createItemElement ({ src, srcset, renditions, type = 'image', width, height, alt = '', caption, credit, color, placeholder, animated }) {
+    const element = document.createElement('figure')
+    const asset = document.createElement(type === 'video' ? 'video' : 'img')
+
+    if (type === 'video') {
+      asset.setAttribute('aria-label', alt)
+    } else {
+      asset.alt = alt
+    }
+
+    asset.dataset.src = src
+
+    if (srcset) asset.dataset.srcset = srcset
+    if (renditions) asset.dataset.renditions = JSON.stringify(renditions)
+    if (width) asset.setAttribute('width', width)
+    if (height) asset.setAttribute('height', height)
+    if (placeholder) asset.dataset.placeholder = placeholder
+    if (animated) asset.dataset.animated = ''
+    if (color) element.dataset.color = color
+    if (credit) element.dataset.credit = credit
+
+    element.style.margin = 0
+    element.style.position = 'absolute'
+
+    element.appendChild(asset)
+
+    if (caption) {
+      const figcaption = document.createElement('figcaption')
+
+      figcaption.textContent = caption
+
+      element.appendChild(figcaption)
+    }
+
+    return element
+  }
+
+  insertItems (items, index, isAnimated = false, anchor = this.getAnchor()) {
+    if (!items.length) return
+
+    const positions = this.getPositions()
+    const elements = items.map(this.createItemElement)
+
+    elements.forEach(element => this.element.appendChild(element))
+
+    this.items.splice(index, 0, ...items)
+    this.itemElements.splice(index, 0, ...elements)
+
+    this.layoutItems()
+
+    const medias = elements.map((element, offset) => {
+      const media = this.createMedia(element, index + offset)
+
+      if (isAnimated) {
+        media.appearance = 0
+      }
+
+      return media
+    })
+
+    this.medias.splice(index, 0, ...medias)
+
+    this.updateItems(anchor, isAnimated ? positions : null)
+  }
+
+  /**
+   * Keeps indices, the accessible list and the layout in sync after the
+   * items changed, animating surviving planes from their previous positions.
+   */
+  updateItems (anchor, positions) {
+    this.medias.forEach((media, index) => {
+      media.index = index
+    })
+
+    if (this.accessibility) {
+      this.accessibility.update()
+    }
+
+    this.measure(anchor)
+
+    if (positions) {
+      this.animateFrom(positions)
+    }
+  }
+
+  getPositions () {
+    return new Map(this.medias.map(media => [media, {
+      x: media.plane.position.x,
+      y: media.plane.position.y
+    }]))
+  }
+
+  animateFrom (positions) {
+    const limit = this.isHorizontal ? this.viewport.width : this.viewport.height
+
+    positions.forEach(({ x, y }, media) => {
+      if (media.isDestroyed) return
+
+      const transition = {
+        x: x - media.plane.position.x,
+        y: y - media.plane.position.y
+      }
+
+      // A plane that landed on another copy of the loop would fly across the screen.
+      if (Math.hypot(transition.x, transition.y) > limit) return
+
+      media.transition = transition
+    })
+  }
+
+  assertItems () {
+    if (!this.items) {
+      throw new Error('Items can only be changed on galleries created with the items option.')
+    }
+  }
+
+  /**
+   * Inserts an item at an index, at the end by default.
+   */
+  addItem (item, index = this.items && this.items.length) {
+    this.assertItems()
+
+    this.insertItems([item], clamp(0, this.items.length, index), true)
+  }
+
+  removeItem (index) {
+    this.assertItems()
+
+    const media = this.medias[index]
+
+    if (!media) return
+
+    const positions = this.getPositions()
+
+    let anchor = this.getAnchor()
+
+    // Keep the neighbour that takes the removed item's place steady instead.
+    if (anchor && anchor.media === media) {
+      const neighbour = this.medias[index + 1] || this.medias[index - 1]
+
+      anchor = neighbour ? this.getAnchor(neighbour) : null
+    }
+
+    this.releaseMedia(media)
+
+    this.items.splice(index, 1)
+    this.itemElements.splice(index, 1)[0].remove()
+    this.medias.splice(index, 1)
+
+    this.updateItems(anchor, positions)
+  }
+
+  /**
+   * Replaces every item. Items still in the new list, by reference or
+   * source, keep their figure and plane and move to their new place, so
+   * only the ones added or removed are created or destroyed. The item on
+   * screen stays where it is when it survives.
+   */
+  setItems (items) {
+    this.assertItems()
+
+    const positions = this.getPositions()
+    const previous = this.items.map((item, index) => ({ element: this.itemElements[index], item, media: this.medias[index] }))
+
+    let anchor = this.getAnchor()
+
+    const entries = items.map(item => {
+      const index = previous.findIndex(entry => entry && entry.item === item)
+      const match = index !== -1 ? index : previous.findIndex(entry => entry && entry.item.src === item.src)
+
+      if (match === -1) return { element: this.createItemElement(item), item, media: null }
+
+      const entry = previous[match]
+
+      previous[match] = null
+
+      return { ...entry, item }
+    })
+
+    previous.filter(Boolean).forEach(({ element, media }) => {
+      if (anchor && anchor.media === media) {
+        anchor = null
+      }
+
+      this.releaseMedia(media)
+
+      element.remove()
+    })
+
+    this.provider = null
+
+    this.items.splice(0, this.items.length, ...entries.map(({ item }) => item))
+    this.itemElements.splice(0, this.itemElements.length, ...entries.map(({ element }) => element))
+
+    this.itemElements.forEach(element => this.element.appendChild(element))
+
+    this.layoutItems()
+
+    const medias = entries.map(({ element, media }, index) => {
+      if (media) return media
+
+      media = this.createMedia(element, index)
+      media.appearance = 0
+
+      return media
+    })
+
+    this.medias.splice(0, this.medias.length, ...medias)
+
+    this.updateItems(anchor, positions)
+  }
+
+  /**
+   * Drops every reference the gallery holds to a media before destroying it.
+   */
+  releaseMedia (media) {
+    if (this.detail && this.detail.media === media) {
+      this.detail = null
+
+      this.medias.forEach(other => {
+        other.alpha = 1
+        other.expansion = 0
+      })
+    }
+
+    if (this.hovered === media) {
+      this.hovered = null
+    }
+
+    if (this.focused === media) {
+      this.focused = null
+    }
+
+    media.destroy()
+  }
+
+  isLaidOut () {
+    return Boolean(this.items || (this.options.layout && this.mediasElements))
+  }
+
+  getLayoutElements () {
+    return this.items ? this.itemElements : Array.from(this.mediasElements)
+  }
+
+  /**
+   * Sizes to lay items out with: their `width` and `height` attributes, or
+   * the natural size once loaded for items that don't declare one.
+   */
+  getLayoutItems (elements) {
+    return elements.map(element => {
+      const asset = element.querySelector('video, img')
+      const [width, height] = this.sizes.get(element) || []
+
+      return {
+        width: Number(asset.getAttribute('width')) || width || 1,
+        height: Number(asset.getAttribute('height')) || height || 1
+      }
+    })
+  }
+
+  layoutItems () {
+    const elements = this.getLayoutElements()
+    const layout = this.options.layout || 'linear'
+    const strategy = typeof layout === 'function' ? layout : LAYOUTS[layout]
+
+    const { rects, length } = strategy(this.getLayoutItems(elements), {
+      columns: this.options.columns,
+      gap: this.options.gap,
+      height: this.element.clientHeight || this.screen.height,
+      isHorizontal: this.isHorizontal,
+      size: this.options.itemSize,
+      width: this.element.clientWidth || this.screen.width
+    })
+
+    this.rects = rects
+
+    rects.forEach((rect, index) => {
+      Object.assign(elements[index].style, {
+        height: `${rect.height}px`,
+        left: `${rect.left}px`,
+        top: `${rect.top}px`,
+        width: `${rect.width}px`
+      })
+    })
+
+    this.element.style[this.isHorizontal ? 'width' : 'height'] = `${length}px`
+  }
+
+  /**
+   * Fetches the next page from the items provider, if there is one.
+   */
+  loadMore () {
+    if (!this.provider || this.provider.isLoading || !this.provider.hasMore) return
+
+    const page = this.provider.page
+
+    this.provider.next().then(({ items }) => {
+      if (this.isDestroyed) return
+
+      this.insertItems(items, this.items.length)
+
+      this.emit('pageload', { page, count: items.length })
+
+      if (this.pendingLocation) {
+        this.applyLocation(this.pendingLocation, true)
+      }
+    }, error => {
+      if (this.isDestroyed) return
+
+      this.emit('pageerror', { page, error })
+    })
+  }
+
+  /**
+   * Asks the provider for more once the last item nears the viewport.
+   */
+  updateProvider () {
+    if (!this.provider || !this.provider.canLoad()) return
+
+    const last = this.medias[this.medias.length - 1]
+    const size = this.isHorizontal ? this.viewport.width : this.viewport.height
+
+    if (last && last.getDistance() > size * this.options.preloadDistance) return
+
+    this.loadMore()
+  }
+
+  createAccessibility () {
+    this.accessibility = new Accessibility({
+      element: this.element,
+      label: this.options.label,
+      medias: this.medias,
+      onBlur: this.onItemBlur,
+      onFocus: this.onItemFocus,
+      onSelect: this.select
+    })
+  }
+
+  /**
+   * Deep linking.
+   */
+  createDeepLink () {
+    if (!this.options.history) return
+
+    this.link = new DeepLink({
+      key: this.options.historyKey,
+      mode: this.options.history,
+      onNavigate: this.onNavigate
+    })
+
+    this.applyLocation(this.link.read(), true)
+  }
+
+  /**
+   * Shows the item a URL points to, jumping straight to it on load and
+   * scrolling to it on back and forward navigation. Items paged in by a
+   * provider are waited for.
+   */
+  applyLocation (location, isImmediate = false) {
+    this.pendingLocation = null
+
+    if (!location) {
+      this.location = null
+
+      this.close()
+
+      return
+    }
+
+    const { index, isOpen } = location
+
+    if (!this.medias[index]) {
+      if (this.provider && this.provider.hasMore) {
+        this.pendingLocation = location
+
+        this.loadMore()
+      }
+
+      return
+    }
+
+    this.location = location
+
+    this.goTo(index, isImmediate)
+
+    if (!isOpen) {
+      this.close()
+
+      return
+    }
+
+    this.open(index)
+
+    if (isImmediate && this.detail) {
+      this.detail.progress = 1
+    }
+  }
+
+  onNavigate (location) {
+    this.applyLocation(location)
+  }
+
+  /**
+   * Writes the current item to the URL when it changes. Opening an item
+   * adds a history entry, so going back closes it.
+   */
+  updateLocation (time) {
+    if (!this.link || this.pendingLocation || time - this.locationTime < LOCATION_INTERVAL) return
+
+    this.locationTime = time
+
+    const media = this.detail ? this.detail.media : this.medias.length && this.getCurrentMedia()
+
+    if (!media) return
+
+    const location = {
+      index: media.index,
+      isOpen: Boolean(this.detail && this.detail.target === 1)
+    }
+
+    const previous = this.location
+
+    if (previous && previous.index === location.index && previous.isOpen === location.isOpen) return
+
+    this.location = location
+
+    if (previous && previous.isOpen && !location.isOpen && this.link.isPushed) {
+      this.link.back()
+    } else {
+      this.link.write(location, location.isOpen && !(previous && previous.isOpen))
+    }
+  }
+
+  /**
+   * Auto-scroll.
+   */
+  setAutoScroll (enabled) {
+    if (this.autoScroll === enabled) return
+
+    this.autoScroll = enabled
+
+    this.emitAutoScrollChange()
+  }
+
+  toggleAutoScroll () {
+    this.setAutoScroll(!this.autoScroll)
+  }
+
+  setSpeed (speed) {
+    this.options.speed = speed
+    this.speed = this.speed < 0 ? -speed : speed
+  }
+
+  setDirection (direction) {
+    this.speed = direction === 'backward' ? -this.options.speed : this.options.speed
+
+    // Drop the lead the target has on the current scroll, otherwise the ease
+    // keeps moving the old way and update() flips the speed straight back.
+    this.scroll.target = this.scroll.current
+  }
+
+  /**
+   * Whether auto-scroll is moving the gallery right now: it can be enabled
+   * yet held by reduced motion, the detail view or keyboard focus, since it
+   * would otherwise pull a focused item away while it is being read.
+   */
+  isAutoScrolling () {
+    return this.autoScroll && !this.isReducedMotion && !this.detail && !this.focused
+  }
+
+  /**
+   * Whether auto-scroll is enabled, whether it is moving right now, and
+   * whether reduced motion is holding it.
+   */
+  getAutoScroll () {
+    return {
+      enabled: this.autoScroll,
+      active: this.isAutoScrolling(),
+      reducedMotion: this.isReducedMotion
+    }
+  }
+
+  emitAutoScrollChange () {
+    this.isAutoScrollActive = this.isAutoScrolling()
+
+    this.emit('autoscrollchange', this.getAutoScroll())
+  }
+
+  /**
+   * Loop.
+   */
+  getWorldLength (index) {
+    return this.isHorizontal
+      ? this.viewport.width * this.getLoopLength(index) / this.screen.width
+      : this.viewport.height * this.getLoopLength(index) / this.screen.height
+  }
+
+  /**
+   * Scroll distance, in pixels, after which an item repeats: the root's
+   * length, or its lane's when the layout loops lanes independently.
+   */
+  getLoopLength (index) {
+    const rect = this.rects && this.rects[index]
+
+    if (rect && rect.length) return rect.length
+
+    return this.isHorizontal ? this.galleryBounds.width : this.galleryBounds.height
+  }
+
+  /**
+   * Length, in pixels, after which a grid repeats along Y.
+   */
+  getCrossLength () {
+    return this.galleryBounds.height
+  }
+
+  getCrossWorldLength () {
+    return this.viewport.height * this.getCrossLength() / this.screen.height
+  }
+
+  /**
+   * Returns the copy of an item's offset nearest to a scroll position, along
+   * a grid's Y axis when `isCross` is set.
+   */
+  getClosestOffset (media, from = this.scroll.target, isCross = false) {
+    const length = isCross ? this.getCrossLength() : this.getLoopLength(media.index)
+    const offset = media.getOffset(this.options.snapAlign, isCross)
+
+    if (!length) return offset
+
+    return offset + Math.round((from - offset) / length) * length
+  }
+
+  /**
+   * The item currently on screen and how far the scroll is past its offset,
+   * for restoring the same view after the layout changes.
+   */
+  getAnchor (media = null) {
+    if (!this.medias || !this.medias.length || !this.galleryBounds) return null
+
+    const cross = this.cross && this.cross.current
+
+    media = media || this.getCurrentMedia(this.scroll.current, cross)
+
+    return {
+      media,
+      shift: this.scroll.current - this.getClosestOffset(media, this.scroll.current),
+      crossShift: this.cross ? cross - this.getClosestOffset(media, cross, true) : 0
+    }
+  }
+
+  /**
+   * Navigation.
+   */
+  getCurrentMedia (from = this.scroll.target, crossFrom = this.cross && this.cross.target) {
+    let current = null
+    let nearest = Infinity
+
+    this.medias.forEach(media => {
+      const distance = this.cross
+        ? Math.hypot(this.getClosestOffset(media, from) - from, this.getClosestOffset(media, crossFrom, true) - crossFrom)
+        : Math.abs(this.getClosestOffset(media, from) - from)
+
+      if (distance < nearest) {
+        current = media
+        nearest = distance
+      }
+    })
+
+    return current
+  }
+
+  /**
+   * Medias in the order they scroll past, which may differ from DOM order.
+   */
+  getOrderedMedias () {
+    const align = this.options.snapAlign
+    const getPosition = media => mod(media.getOffset(align), this.getLoopLength(media.index))
+
+    return this.medias.slice().sort((a, b) => getPosition(a) - getPosition(b))
+  }
+
+  /**
+   * Moves the target by whole items, forward for positive steps, following
+   * the loop so stepping past the last item continues with the first.
+   */
+  step (steps) {
+    if (!this.medias || !this.medias.length) return null
+
+    const medias = this.getOrderedMedias()
+    const sign = Math.sign(steps)
+
+    let index = medias.indexOf(this.getCurrentMedia())
+    let offset = this.getClosestOffset(medias[index])
+
+    for (let i = 0; i < Math.abs(steps); i++) {
+      const next = mod(index + sign, medias.length)
+
+      let closest = this.getClosestOffset(medias[next], offset)
+
+      // Always move on, to the copy ahead when the nearest one is behind.
+      if ((closest - offset) * sign <= 0) {
+        closest += this.getLoopLength(medias[next].index) * sign
+      }
+
+      offset = closest
+      index = next
+    }
+
+    this.scroll.target = offset
+
+    if (this.cross) {
+      this.cross.target = this.getClosestOffset(medias[index], this.cross.target, true)
+    }
+
+    return medias[index]
+  }
+
+  /**
+   * Moves a grid to the row above or below: the items nearest along Y that
+   * are at least half the current item's height away, then the closest of
+   * them along X. Rows wrap like the grid does.
+   */
+  stepRow (sign) {
+    if (!this.medias || !this.medias.length) return null
+
+    const current = this.getCurrentMedia()
+    const x = this.getClosestOffset(current)
+    const y = this.getClosestOffset(current, this.cross.target, true)
+    const threshold = current.bounds.height / 2
+
+    const candidates = this.medias.map(media => {
+      let offset = this.getClosestOffset(media, y, true)
+
+      // Items in the same row or behind count from their copy ahead.
+      if ((offset - y) * sign < threshold) {
+        offset += this.getCrossLength() * sign
+      }
+
+      return { media, offset, distance: (offset - y) * sign }
+    })
+
+    const row = Math.min(...candidates.map(({ distance }) => distance))
+
+    const { media, offset } = candidates
+      .filter(({ distance }) => distance < row + threshold)
+      .reduce((nearest, candidate) => Math.abs(this.getClosestOffset(candidate.media, x) - x) < Math.abs(this.getClosestOffset(nearest.media, x) - x) ? candidate : nearest)
+
+    this.scroll.target = this.getClosestOffset(media, x)
+    this.cross.target = offset
+
+    return media
+  }
+
+  /**
+   * Steps forward or backward until at least one screen has been travelled.
+   */
+  page (sign) {
+    if (!this.medias || !this.medias.length) return null
+
+    const size = this.isHorizontal ? this.screen.width : this.screen.height
+    const start = this.scroll.target
+
+    let media = null
+
+    for (let i = 0; i < this.medias.length; i++) {
+      media = this.step(sign)
+
+      if (Math.abs(this.scroll.target - start) >= size) break
+    }
+
+    return media
+  }
+
+  scrollToMedia (media) {
+    this.scroll.target = this.getClosestOffset(media)
+
+    if (this.cross) {
+      this.cross.target = this.getClosestOffset(media, this.cross.target, true)
+    }
+
+    return media
+  }
+
+  /**
+   * Scrolls to an item by its index, taking the shortest way around the
+   * loop, or moves there at once with `isImmediate`.
+   */
+  goTo (index, isImmediate = false) {
+    const media = this.medias && this.medias[index]
+
+    if (!media) return
+
+    this.scrollToMedia(media)
+
+    if (isImmediate) {
+      this.jump()
+    }
+  }
+
+  /**
+   * Brings the scroll to its target without easing or velocity, with every
+   * plane placed at its copy nearest the viewport.
+   */
+  jump () {
+    this.scroll.current = this.scroll.last = this.scroll.target
+
+    if (this.cross) {
+      this.cross.current = this.cross.last = this.cross.target
+    }
+
+    this.medias.forEach(media => media.place(this.scroll.current, this.cross && this.cross.current))
+  }
+
+  next () {
+    this.step(1)
+  }
+
+  prev () {
+    this.step(-1)
+  }
+
+  /**
+   * Snapping.
+   */
+  addSample () {
+    const time = window.performance.now()
+
+    this.samples.push({ time, target: this.scroll.target, cross: this.cross && this.cross.target })
+    this.samples = this.samples.filter(sample => time - sample.time <= VELOCITY_WINDOW)
+  }
+
+  /**
+   * Velocity of the target over the last few input samples, in pixels per
+   * frame at 60fps so it matches how friction is applied. Samples older than
+   * the window at `time` mean the input had already stopped moving. `key`
+   * picks the scroll, 'cross' for a grid's Y axis.
+   */
+  getVelocity (time = window.performance.now(), key = 'target') {
+    const first = this.samples[0]
+    const last = this.samples[this.samples.length - 1]
+
+    if (!first || last.time === first.time || time - last.time > VELOCITY_WINDOW) return 0
+
+    return (last[key] - first[key]) / (last.time - first.time) * (1000 / 60)
+  }
+
+  /**
+   * Lets a grid drag coast with friction on both axes after release.
+   */
+  fling () {
+    const friction = this.isReducedMotion ? 0 : this.options.friction
+    const coast = friction / (1 - friction)
+    const time = window.performance.now()
+
+    this.scroll.target += this.getVelocity(time) * coast
+    this.cross.target += this.getVelocity(time, 'cross') * coast
+  }
+
+  /**
+   * Lets a flick coast with friction, then settles on the item nearest to
+   * where it would have stopped.
+   */
+  snap (velocity = 0) {
+    if (!this.options.snap || this.isGrid || !this.medias.length) return
+
+    const friction = this.isReducedMotion ? 0 : this.options.friction
+    const projected = this.scroll.target + velocity * friction / (1 - friction)
+
+    this.scroll.target = this.getClosestOffset(this.getCurrentMedia(projected), projected)
+  }
+
+  navigate (key) {
+    const medias = this.getOrderedMedias()
+
+    switch (key) {
+      case 'Home': return this.scrollToMedia(medias[0])
+      case 'End': return this.scrollToMedia(medias[medias.length - 1])
+      case 'PageDown': return this.page(1)
+      case 'PageUp': return this.page(-1)
+      case 'ArrowDown':
+      case 'ArrowUp': return this.isGrid ? this.stepRow(KEY_STEPS[key]) : this.step(KEY_STEPS[key])
+      default: return this.step(KEY_STEPS[key])
+    }
+  }
+
+  /**
+   * Picking.
+   */
+  pick (x, y) {
+    if (!this.medias) return null
+
+    this.raycast.castMouse(this.camera, [
+      (x / this.screen.width) * 2 - 1,
+      -(y / this.screen.height) * 2 + 1
+    ])
+
+    let hit = null
+    let nearest = Infinity
+
+    this.medias.forEach(media => {
+      const distance = media.intersect(this.raycast.origin, this.raycast.direction)
+
+      if (distance !== null && distance < nearest) {
+        hit = media
+        nearest = distance
+      }
+    })
+
+    return hit
+  }
+
+  /**
+   * Returns the item under a point in client coordinates, if any.
+   */
+  getItemAt (x, y) {
+    const media = this.pick(x - this.screen.left, y - this.screen.top)
+
+    return media ? this.getItem(media) : null
+  }
+
+  updateHover () {
+    const media = this.mouse ? this.pick(this.mouse.x, this.mouse.y) : null
+
+    if (media === this.hovered) return
+
+    if (this.hovered) {
+      this.emit('hoverleave', this.getItem(this.hovered))
+    }
+
+    this.hovered = media
+
+    if (this.hovered) {
+      this.emit('hoverenter', this.getItem(this.hovered))
+    }
+  }
+
+  /**
+   * Events.
+   */
+  getPointer (event) {
+    const pointer = event.touches ? event.touches[0] || event.changedTouches[0] : event
+
+    return {
+      x: pointer.clientX - this.screen.left,
+      y: pointer.clientY - this.screen.top
+    }
+  }
+
+  /**
+   * Whether a pointer is over the gallery, so galleries sharing the page
+   * only take the input meant for them.
+   */
+  isInside ({ x, y }) {
+    return x >= 0 && y >= 0 && x <= this.screen.width && y <= this.screen.height
+  }
+
+  /**
+   * Whether wheel and touch input at a pointer is the gallery's rather than
+   * the page's: over it, with enough of its container in view.
+   */
+  isCapturing (pointer) {
+    if (!this.isInside(pointer)) return false
+    if (!this.container) return true
+
+    const { height, left, top, width } = this.screen
+    const visibleWidth = Math.min(left + width, window.innerWidth) - Math.max(left, 0)
+    const visibleHeight = Math.min(top + height, window.innerHeight) - Math.max(top, 0)
+
+    if (visibleWidth <= 0 || visibleHeight <= 0) return false
+
+    return visibleWidth * visibleHeight / (width * height) >= this.options.captureThreshold
+  }
+
+  /**
+   * Whether the scroll target rests on one of `scrollBounds` and a change of
+   * `delta` would push it further.
+   */
+  isAtBound (delta) {
+    if (!this.options.scrollBounds) return false
+
+    const [min, max] = this.options.scrollBounds
+
+    return (delta < 0 && this.scroll.target <= min) || (delta > 0 && this.scroll.target >= max)
+  }
+
+  onTouchDown (event) {
+    const pointer = this.getPointer(event)
+
+    if (event.touches ? !this.isCapturing(pointer) : !this.isInside(pointer)) return
+
+    this.isDown = true
+    this.isTouchLocked = false
+
+    this.scroll.position = this.scroll.current
+    this.start = this.isHorizontal ? pointer.x : pointer.y
+    this.down = pointer
+
+    if (this.cross) {
+      this.cross.position = this.cross.current
+    }
+
+    this.samples = []
+  }
+
+  onTouchMove (event) {
+    const pointer = this.getPointer(event)
+
+    if (!event.touches) {
+      this.mouse = this.isInside(pointer) ? pointer : null
+    }
+
+    if (!this.isDown || this.detail) return
+
+    const distance = (this.start - (this.isHorizontal ? pointer.x : pointer.y)) * 2
+
+    if (event.touches && this.container) {
+      // The first move decides whether the gesture is the gallery's or the
+      // page's, as the browser only scrolls when it isn't prevented from the start.
+      if (!this.isTouchLocked && this.isTouchReleased(pointer, distance)) {
+        this.isDown = false
+
+        return
+      }
+
+      this.isTouchLocked = true
+
+      if (event.cancelable) {
+        event.preventDefault()
+      }
+    }
+
+    this.scroll.target = this.scroll.position + distance
+
+    if (this.cross) {
+      this.cross.target = this.cross.position + (this.down.y - pointer.y) * 2
+    }
+
+    this.addSample()
+  }
+
+  /**
+   * Gestures along the page scroll it when the gallery scrolls across it or
+   * follows `pageScroll`, as do gestures pushing past `scrollBounds`.
+   */
+  isTouchReleased (pointer, distance) {
+    const isAlongPage = Math.abs(pointer.y - this.down.y) > Math.abs(pointer.x - this.down.x)
+
+    if (isAlongPage && !this.isGrid && (this.isHorizontal || this.options.pageScroll)) return true
+
+    return !this.cross && this.isAtBound(distance)
+  }
+
+  onTouchUp (event) {
+    if (!this.isDown) return
+
+    this.isDown = false
+    this.autoScrollTime = 0
+
+    if (!this.detail && this.isGrid) {
+      this.fling()
+    } else if (!this.detail) {
+      this.snap(this.getVelocity())
+    }
+
+    if (event.touches) {
+      this.touchTime = event.timeStamp
+    } else if (event.timeStamp - this.touchTime < TOUCH_MOUSE_DELAY) {
+      return
+    }
+
+    const pointer = this.getPointer(event)
+    const distance = Math.hypot(pointer.x - this.down.x, pointer.y - this.down.y)
+
+    if (distance > TAP_THRESHOLD) return
+    if (event.target.closest && event.target.closest(INTERACTIVE)) return
+
+    if (this.detail) {
+      this.close()
+
+      return
+    }
+
+    const media = this.pick(pointer.x, pointer.y)
+
+    if (media) {
+      this.select(media)
+    }
+  }
+
+  select (media) {
+    this.emit('select', this.getItem(media))
+
+    if (this.options.expandOnSelect && !this.isFallback) {
+      this.open(media.index)
+    }
+  }
+
+  onMouseLeave () {
+    this.mouse = null
+  }
+
+  onKeyDown (event) {
+    if (event.key === 'Escape') {
+      this.close()
+
+      return
+    }
+
+    const isNavigationKey = KEY_STEPS[event.key] || ['Home', 'End', 'PageDown', 'PageUp'].includes(event.key)
+
+    if (!isNavigationKey || this.detail || !this.medias.length) return
+
+    // Only react when focus is on the gallery items or nowhere in particular,
+    // so arrow keys keep working in form fields and other widgets on the page.
+    // Galleries in a container also need the pointer over them in that case.
+    const hasFocus = this.accessibility.hasFocus()
+
+    if (!hasFocus && document.activeElement !== document.body) return
+    if (!hasFocus && this.container && !this.mouse) return
+
+    event.preventDefault()
+
+    const media = this.navigate(event.key)
+
+    if (hasFocus) {
+      this.accessibility.focus(media)
+    } else {
+      this.accessibility.announce(media)
+    }
+  }
+
+  onReducedMotionChange (event) {
+    this.isReducedMotion = event.matches
+
+    this.emitAutoScrollChange()
+  }
+
+  /**
+   * Laid out items without declared dimensions are placed as squares until
+   * their natural size is known, then the layout is redone around them.
+   */
+  onMediaLoad (media) {
+    const { asset, element } = media
+    const isSized = asset.hasAttribute('width') && asset.hasAttribute('height')
+
+    if (this.isLaidOut() && !isSized && !media.isDestroyed && !this.sizes.has(element)) {
+      const positions = this.getPositions()
+
+      this.sizes.set(element, media.size)
+
+      this.measure(this.getAnchor())
+      this.animateFrom(positions)
+    }
+
+    this.emit('itemload', this.getItem(media))
+  }
+
+  onItemFocus (media, isFocusVisible) {
+    this.focused = media
+    this.focused.isFocused = isFocusVisible
+
+    this.scrollToMedia(media)
+  }
+
+  onItemBlur (media) {
+    media.isFocused = false
+
+    if (this.focused === media) {
+      this.focused = null
+    }
+  }
+
+  onWheel (event) {
+    if (this.detail || this.options.pageScroll || !this.isCapturing(this.getPointer(event))) return
+
+    const normalized = NormalizeWheel(event)
+    const delta = (this.cross ? normalized.pixelX : normalized.pixelY) * 0.5
+
+    if (!this.cross && this.isAtBound(delta)) return
+
+    if (this.container && event.cancelable) {
+      event.preventDefault()
+    }
+
+    this.scroll.target += delta
+
+    if (this.cross) {
+      this.cross.target += normalized.pixelY * 0.5
+    }
+
+    this.addSample()
+
+    if (this.options.snap) {
+      window.clearTimeout(this.wheelTimeout)
+
+      const time = window.performance.now()
+
+      this.autoScrollTime = 0
+      this.wheelTimeout = window.setTimeout(_ => this.snap(this.getVelocity(time)), WHEEL_END_DELAY)
+    }
+  }
+
+  /**
+   * Resize.
+   */
+  onResize () {
+    this.screen = this.getScreen()
+
+    this.resizePost()
+
+    this.camera.perspective({
+      aspect: this.screen.width / this.screen.height
+    })
+
+    const fov = this.camera.fov * (Math.PI / 180)
+    const height = 2 * Math.tan(fov / 2) * this.camera.position.z
+    const width = height * this.camera.aspect
+
+    this.viewport = {
+      height,
+      width
+    }
+
+    this.measure(this.getAnchor())
+  }
+
+  /**
+   * The rect the gallery is drawn in, in window coordinates: its container
+   * or the whole window.
+   */
+  getScreen () {
+    if (!this.container) {
+      return {
+        height: window.innerHeight,
+        left: 0,
+        top: 0,
+        width: window.innerWidth
+      }
+    }
+
+    const { height, left, top, width } = this.container.getBoundingClientRect()
+
+    return {
+      height,
+      left,
+      top,
+      width
+    }
+  }
+
+  /**
+   * Follows the container as the page scrolls, resizing when it changes size.
+   */
+  updateScreen () {
+    if (!this.container) return
+
+    const screen = this.getScreen()
+
+    if (screen.width !== this.screen.width || screen.height !== this.screen.height) {
+      this.onResize()
+
+      return
+    }
+
+    this.screen.left = screen.left
+    this.screen.top = screen.top
+  }
+
+  /**
+   * Moves the scroll by as much as the page scrolled the container, times
+   * `pageScroll`. The first frame jumps straight to the page's position.
+   */
+  updatePageScroll () {
+    if (!this.options.pageScroll || !this.container) return
+
+    const offset = (window.innerHeight - this.screen.top) * this.options.pageScroll
+
+    if (this.pageOffset === null) {
+      this.scroll.current += offset
+      this.scroll.last += offset
+    }
+
+    this.scroll.target += offset - (this.pageOffset || 0)
+    this.pageOffset = offset
+  }
+
+  updateBounds () {
+    if (!this.options.scrollBounds) return
+
+    const [min, max] = this.options.scrollBounds
+
+    this.scroll.target = clamp(min, max, this.scroll.target)
+  }
+
+  /**
+   * Sizes the post targets to the screen at the resolution of the current
+   * quality tier. The canvas itself belongs to the stage.
+   */
+  resizePost () {
+    if (this.isFallback || !this.post) return
+
+    const dpr = this.renderer.dpr * TIERS[this.quality].post
+
+    // Post.resize() allocates new render targets without freeing the old ones.
+    deleteRenderTarget(this.gl, this.post.fbo.read)
+    deleteRenderTarget(this.gl, this.post.fbo.write)
+
+    this.post.resize({
+      dpr,
+      height: this.screen.height,
+      width: this.screen.width
+    })
+
+    this.resolution.value.set(this.screen.width * dpr, this.screen.height * dpr)
+  }
+
+  /**
+   * Re-reads the layout, then moves the scroll so the anchor item stays
+   * where it was on screen and puts every plane at its copy nearest the
+   * viewport, so nothing jumps when the loop length changes.
+   */
+  measure (anchor) {
+    // Item bounds are read relative to the screen, which moves with the page.
+    if (this.container) {
+      const { left, top } = this.getScreen()
+
+      Object.assign(this.screen, { left, top })
+    }
+
+    if (this.isLaidOut()) {
+      this.layoutItems()
+    }
+
+    this.galleryBounds = this.element.getBoundingClientRect()
+
+    if (!this.medias) return
+
+    this.medias.forEach(media => media.onResize({
+      crossLength: this.isGrid ? this.getCrossWorldLength() : 0,
+      length: this.getWorldLength(media.index),
+      screen: this.screen,
+      viewport: this.viewport
+    }))
+
+    if (anchor) {
+      const difference = this.getClosestOffset(anchor.media, this.scroll.current) + anchor.shift - this.scroll.current
+
+      this.scroll.current += difference
+      this.scroll.target += difference
+      this.scroll.last += difference
+
+      if (this.isDown) {
+        this.scroll.position += difference
+      }
+    }
+
+    if (anchor && this.cross) {
+      const difference = this.getClosestOffset(anchor.media, this.cross.current, true) + anchor.crossShift - this.cross.current
+
+      this.cross.current += difference
+      this.cross.target += difference
+      this.cross.last += difference
+
+      if (this.isDown) {
+        this.cross.position += difference
+      }
+    }
+
+    this.medias.forEach(media => media.place(this.scroll.current, this.cross && this.cross.current))
+
+    this.snap()
+  }
+
+  /**
+   * Update.
+   */
+  update () {
+    const time = window.performance.now()
+    const frameTime = this.time ? time - this.time : 0
+    const delta = Math.min(frameTime, 100)
+
+    this.time = time
+
+    this.updateScreen()
+    this.updateQuality(frameTime)
+
+    this.updatePageScroll()
+    this.updateAutoScroll(delta)
+    this.updateBounds()
+
+    const ease = this.isReducedMotion ? REDUCED_MOTION_EASE : this.scroll.ease
+
+    this.scroll.current = this.easeScroll(this.scroll, ease)
+
+    if (this.cross) {
+      this.cross.current = this.easeScroll(this.cross, ease)
+    }
+
+    const direction = this.direction
+
+    // Auto-scroll keeps going whichever way the user last scrolled.
+    if (this.scroll.current > this.scroll.last) {
+      this.direction = 'forward'
+      this.speed = this.options.speed
+    } else if (this.scroll.current < this.scroll.last) {
+      this.direction = 'backward'
+      this.speed = -this.options.speed
+    }
+
+    const isCrossMoving = this.cross && this.cross.current !== this.cross.last
+
+    if (this.scroll.current !== this.scroll.last || isCrossMoving) {
+      this.emit('scroll', {
+        current: this.scroll.current,
+        target: this.scroll.target,
+        velocity: this.scroll.current - this.scroll.last,
+        direction: this.direction,
+        ...(this.cross && {
+          cross: {
+            current: this.cross.current,
+            target: this.cross.target,
+            velocity: this.cross.current - this.cross.last
+          }
+        })
+      })
+    }
+
+    if (direction && this.direction !== direction) {
+      this.emit('directionchange', {
+        direction: this.direction,
+        previous: direction
+      })
+    }
+
+    this.updateDetail(delta)
+    this.updateLocation(time)
+
+    this.effectState = this.getEffectState(time)
+
+    if (this.medias) {
+      this.medias.forEach(this.updateMedia)
+    }
+
+    if (this.batch) {
+      this.batch.update(this.effectState)
+    }
+
+    this.updateTextures()
+    this.updateProvider()
+    this.updateReady()
+
+    this.updateHover()
+
+    this.render()
+
+    this.scroll.last = this.scroll.current
+
+    if (this.cross) {
+      this.cross.last = this.cross.current
+    }
+  }
+
+  /**
+   * Draws the scene into the screen rect of the stage's canvas. The stage
+   * draws paused galleries again every frame, as it clears the whole canvas.
+   */
+  easeScroll ({ current, target }, ease) {
+    return Math.abs(target - current) < SCROLL_REST ? target : lerp(current, target, ease)
+  }
+
+  render () {
+    if (this.isFallback || this.isContextLost) return
+
+    this.stage.setRect(this.screen)
+
+    if (this.post && TIERS[this.quality].effects) {
+      if (this.effectState) {
+        this.passes.forEach(this.updatePass)
+      }
+
+      this.post.render({
+        scene: this.scene,
+        camera: this.camera
+      })
+    } else {
+      this.renderer.render({
+        scene: this.scene,
+        camera: this.camera
+      })
+    }
+  }
+
+  /**
+   * In snap mode auto-scroll moves one item at a time, like a carousel, so
+   * it never leaves the gallery resting between items.
+   */
+  updateAutoScroll (delta) {
+    // Opening an item or focusing one holds it without going through setAutoScroll.
+    if (this.isAutoScrolling() !== this.isAutoScrollActive) {
+      this.emitAutoScrollChange()
+    }
+
+    if (!this.isAutoScrolling() || this.isDown) return
+
+    if (!this.options.snap) {
+      this.scroll.target += this.speed
+
+      return
+    }
+
+    this.autoScrollTime += delta
+
+    if (this.autoScrollTime >= this.options.snapInterval) {
+      this.autoScrollTime = 0
+
+      this.step(Math.sign(this.speed))
+    }
+  }
+
+  /**
+   * What effects map onto their uniforms every frame. Velocity is in pixels
+   * per frame and held at zero under reduced motion, time is in seconds.
+   */
+  getEffectState (time) {
+    const velocity = this.isReducedMotion ? 0 : this.scroll.current - this.scroll.last
+    const crossVelocity = this.isReducedMotion || !this.cross ? 0 : this.cross.current - this.cross.last
+
+    return {
+      hasEffects: TIERS[this.quality].effects,
+      isGrid: this.isGrid,
+      isHorizontal: this.isHorizontal,
+      orientation: this.options.orientation,
+      position: this.scroll.current,
+      quality: this.quality,
+      screen: this.screen,
+      time: time / 1000,
+      velocity,
+      velocityX: this.isHorizontal ? velocity : 0,
+      velocityY: this.isHorizontal ? crossVelocity : velocity,
+      viewport: this.viewport
+    }
+  }
+
+  updatePass ({ effect, pass }) {
+    const { screen, time, velocityX, velocityY } = this.effectState
+
+    pass.uniforms.uTime.value = time
+    pass.uniforms.uVelocity.value = [velocityX / screen.width, velocityY / screen.height]
+
+    if (effect.update) effect.update(pass.uniforms, this.effectState)
+  }
+
+  updateMedia (media) {
+    const { crossLoop, isVisible, loop } = media
+
+    media.update(this.scroll, this.direction, this.effectState, this.cross)
+
+    if (media.loop !== loop || media.crossLoop !== crossLoop) {
+      this.emit('wrap', {
+        ...this.getItem(media),
+        direction: this.direction
+      })
+    }
+
+    if (media.isVisible !== isVisible) {
+      this.emit(media.isVisible ? 'itementer' : 'itemleave', this.getItem(media))
+    }
+  }
+
+  /**
+   * Loads textures nearest to the viewport first, a few at a time, and evicts
+   * the farthest ones once the memory budget is exceeded.
+   */
+  updateTextures () {
+    if (!this.medias || !this.isFormatsDetected) return
+
+    const size = this.isHorizontal ? this.viewport.width : this.viewport.height
+    const range = size * this.options.preloadDistance
+    const budget = Math.min(this.options.memoryBudget * 1024 * 1024, this.batch ? this.batch.getMaxBytes() : Infinity)
+    const dpr = this.getPixelRatio()
+
+    const entries = this.medias
+      .map(media => ({ media, distance: media.getDistance() }))
+      .sort((a, b) => a.distance - b.distance)
+
+    let loading = this.medias.filter(media => media.state === 'loading').length
+
+    for (let i = 0; i < entries.length && loading < this.options.maxConcurrentLoads; i++) {
+      const { media, distance } = entries[i]
+
+      if (distance > range) break
+      if (media.state !== 'idle') continue
+
+      loading += 1
+
+      media.load(dpr)
+        .then(_ => this.onMediaLoad(media))
+        .catch(error => this.emit('itemerror', { ...this.getItem(media), error }))
+    }
+
+    this.medias.forEach(media => {
+      if (media.isVisible) media.upgrade(dpr)
+    })
+
+    let bytes = this.medias.reduce((total, media) => total + media.getBytes(), 0)
+
+    for (let i = entries.length - 1; i >= 0 && bytes > budget; i--) {
+      const { media, distance } = entries[i]
+
+      if (distance <= range) break
+
+      bytes -= media.getBytes()
+
+      media.unload()
+    }
+  }
+
+  /**
+   * Emits 'progress' as the items the page waits for load, or fail to, then
+   * 'ready' once they all have, so it can reveal the gallery without gaps:
+   * every item visible on the first frames, or the `revealCount` nearest.
+   */
+  updateReady () {
+    if (this.isReady || !this.medias) return
+    if (!this.medias.length && this.provider && this.provider.canLoad()) return
+
+    const medias = this.getRevealMedias()
+    const loaded = medias.filter(media => media.state === 'loaded').length
+    const failed = medias.filter(media => media.state === 'error').length
+    const total = medias.length
+
+    if (!this.progress || this.progress.loaded !== loaded || this.progress.failed !== failed || this.progress.total !== total) {
+      this.progress = {
+        failed,
+        loaded,
+        progress: total ? (loaded + failed) / total : 1,
+        total
+      }
+
+      this.emit('progress', this.progress)
+    }
+
+    if (loaded + failed < total) return
+
+    this.isReady = true
+
+    this.emit('ready')
+  }
+
+  getRevealMedias () {
+    const medias = this.medias.filter(media => media.isVisible)
+
+    if (!this.options.revealCount) return medias
+
+    return medias
+      .sort((a, b) => a.getDistance() - b.getDistance())
+      .slice(0, this.options.revealCount)
+  }
+
+  getItem (media) {
+    return {
+      index: media.index,
+      element: media.element,
+      loop: media.loop,
+      ...(this.isGrid && { crossLoop: media.crossLoop })
+    }
+  }
+
+  /**
+   * Detail.
+   */
+  open (index) {
+    const media = this.medias && this.medias[index]
+
+    if (!media || this.isFallback) return
+    if (this.detail && (this.detail.media !== media || this.detail.target === 1)) return
+
+    this.detail = {
+      media,
+      progress: this.detail ? this.detail.progress : 0,
+      target: 1
+    }
+
+    this.emit('open', this.getItem(media))
+  }
+
+  close () {
+    if (!this.detail || this.detail.target === 0) return
+
+    this.detail.target = 0
+
+    this.emit('close', this.getItem(this.detail.media))
+  }
+
+  updateDetail (delta) {
+    if (!this.detail || !this.medias) return
+
+    const duration = this.isReducedMotion ? 0 : this.options.expandDuration
+    const step = duration ? delta / duration : 1
+    const progress = this.detail.target === 1
+      ? Math.min(this.detail.progress + step, 1)
+      : Math.max(this.detail.progress - step, 0)
+
+    const eased = easeInOutCubic(progress)
+
+    this.detail.progress = progress
+
+    this.medias.forEach(media => {
+      const isSelected = media === this.detail.media
+
+      media.expansion = isSelected ? eased : 0
+      media.alpha = isSelected ? 1 : 1 - eased
+    })
+
+    if (progress === 0 && this.detail.target === 0) {
+      this.detail = null
+    }
+  }
+
+  /**
+   * Quality.
+   */
+  getPixelRatio () {
+    return Math.min(window.devicePixelRatio || 1, TIERS[this.quality].dpr)
+  }
+
+  updateQuality (frameTime) {
+    if (!this.isQualityAuto || this.isFallback) return
+
+    const tier = this.governor.sample(frameTime)
+
+    if (tier !== null) {
+      this.applyQuality(tier)
+    }
+  }
+
+  /**
+   * Pins the quality to a tier, from 0 to 3, or hands it back to the
+   * frame rate with 'auto'.
+   */
+  setQuality (quality) {
+    this.isQualityAuto = quality === 'auto'
+
+    if (this.isQualityAuto) {
+      this.governor.reset(this.quality)
+    } else {
+      this.applyQuality(clamp(0, TIERS.length - 1, Math.round(quality)))
+    }
+  }
+
+  applyQuality (quality) {
+    const previous = this.quality
+
+    if (quality === previous) return
+
+    this.quality = quality
+
+    if (this.isStageOwner) {
+      this.stage.setPixelRatio(this.getPixelRatio())
+    }
+
+    if (!this.isFallback) {
+      if (TIERS[quality].segments !== TIERS[previous].segments) {
+        const geometry = this.planeGeometry
+
+        this.createGeometry()
+
+        this.medias.forEach(media => media.setGeometry(this.planeGeometry))
+
+        if (this.batch) {
+          this.batch.setGeometry(this.planeGeometry)
+        }
+
+        geometry.remove()
+      }
+
+      this.resizePost()
+    }
+
+    this.emit('qualitychange', {
+      quality,
+      previous
+    })
+  }
+
+  /**
+   * Lifecycle.
+   */
+  pause () {
+    if (this.isPaused || this.isDestroyed) return
+
+    this.isPaused = true
+    this.isDown = false
+
+    this.medias.forEach(media => media.pause())
+  }
+
+  resume () {
+    if (!this.isPaused || this.isDestroyed) return
+
+    this.isPaused = false
+    this.time = null
+
+    this.stage.start()
+  }
+
+  /**
+   * The browser can drop the context at any time, e.g. when the GPU resets
+   * or too many pages hold one. The stage stops rendering until it is
+   * restored, then every GL resource is rebuilt with its new renderer.
+   */
+  onContextLost () {
+    this.isContextLost = true
+
+    this.emit('contextlost')
+  }
+
+  onContextRestored () {
+    this.isContextLost = false
+
+    this.renderer = this.stage.renderer
+    this.gl = this.renderer.gl
+
+    this.createGeometry()
+    this.createPost()
+
+    if (this.batch) {
+      this.batch.restore(this.gl, this.planeGeometry)
+    }
+
+    this.medias.forEach(media => media.restore(this.gl, this.planeGeometry))
+
+    this.onResize()
+
+    this.time = null
+
+    this.emit('contextrestored')
+  }
+
+  destroy () {
+    if (this.isDestroyed) return
+
+    this.pause()
+    this.removeEventListeners()
+
+    this.stage.remove(this)
+
+    window.clearTimeout(this.wheelTimeout)
+
+    this.isDestroyed = true
+
+    this.off()
+    this.loader.off()
+
+    this.accessibility.destroy()
+
+    if (this.link) {
+      this.link.destroy()
+    }
+
+    this.medias.forEach(media => media.destroy())
+    this.medias = null
+
+    if (this.items) {
+      this.itemElements.forEach(element => element.remove())
+    }
+
+    if (this.layoutStyles) {
+      this.mediasElements.forEach((element, index) => {
+        element.style.cssText = this.layoutStyles[index]
+      })
+    }
+
+    this.element.style.cssText = this.elementStyle
+
+    if (this.isFallback) return
+
+    if (this.batch) {
+      this.batch.destroy()
+    }
+
+    this.planeGeometry.remove()
+
+    if (this.post) {
+      this.passes.forEach(({ effect, pass }) => {
+        if (effect.destroy) effect.destroy(pass.uniforms, this.gl)
+      })
+
+      this.post.passes.forEach(pass => pass.program.remove())
+      this.post.geometry.remove()
+
+      deleteRenderTarget(this.gl, this.post.fbo.read)
+      deleteRenderTarget(this.gl, this.post.fbo.write)
+    }
+
+    if (this.isStageOwner) {
+      this.stage.destroy()
+    }
+  }
+
+  /**
+   * Listeners.
+   */
+  addEventListeners () {
+    window.addEventListener('resize', this.onResize)
+
+    window.addEventListener('mousewheel', this.onWheel, { passive: false })
+    window.addEventListener('wheel', this.onWheel, { passive: false })
+
+    window.addEventListener('mousedown', this.onTouchDown)
+    window.addEventListener('mousemove', this.onTouchMove)
+    window.addEventListener('mouseup', this.onTouchUp)
+
+    window.addEventListener('touchstart', this.onTouchDown)
+    window.addEventListener('touchmove', this.onTouchMove, { passive: false })
+    window.addEventListener('touchend', this.onTouchUp)
+
+    window.addEventListener('keydown', this.onKeyDown)
+
+    if (this.reducedMotionQuery) {
+      this.reducedMotionQuery.addEventListener('change', this.onReducedMotionChange)
+    }
+
+    document.documentElement.addEventListener('mouseleave', this.onMouseLeave)
+  }
+
+  removeEventListeners () {
+    window.removeEventListener('resize', this.onResize)
+
+    window.removeEventListener('mousewheel', this.onWheel, { passive: false })
+    window.removeEventListener('wheel', this.onWheel, { passive: false })
+
+    window.removeEventListener('mousedown', this.onTouchDown)
+    window.removeEventListener('mousemove', this.onTouchMove)
+    window.removeEventListener('mouseup', this.onTouchUp)
+
+    window.removeEventListener('touchstart', this.onTouchDown)
+    window.removeEventListener('touchmove', this.onTouchMove, { passive: false })
+    window.removeEventListener('touchend', this.onTouchUp)
+
+    window.removeEventListener('keydown', this.onKeyDown)
+
+    if (this.reducedMotionQuery) {
+      this.reducedMotionQuery.removeEventListener('change', this.onReducedMotionChange)
+    }
+
+    document.documentElement.removeEventListener('mouseleave', this.onMouseLeave)
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Quality tiers, lowest first. `dpr` caps the device pixel ratio, `segments`
+ * scales the plane subdivisions, `post` is the resolution of the post passes
+ * relative to the canvas and `effects` whether effects run at all.
+ */
+export const TIERS = [
+  { dpr: 0.75, segments: 0.25, post: 0.5, effects: false },
+  { dpr: 1, segments: 0.5, post: 0.5, effects: true },
+  { dpr: 1.5, segments: 1, post: 0.75, effects: true },
+  { dpr: 2, segments: 1, post: 1, effects: true }
+]
+
+// Number of frames averaged before deciding to change tier.
+const WINDOW = 60
+
+// Average frame times, in milliseconds, above which quality steps down and
+// below which it may step up. The gap between them keeps it from flickering.
+const DOWNGRADE_TIME = 1000 / 45
+const UPGRADE_TIME = 1000 / 57
+
+// Frames longer than this come from a hidden tab or a blocked main thread, not rendering.
+const MAX_FRAME_TIME = 250
+
+// Time, in milliseconds, frames must stay fast before stepping up. Doubled
+// every time a step up has to be undone, up to the maximum.
+const UPGRADE_DELAY = 3000
+const MAX_UPGRADE_DELAY = 60000
+
+/**
+ * Measures frame time over a rolling window and picks the quality tier the
+ * device can hold.
+ */
+export default class Governor {
+  constructor ({ tier }) {
+    this.delay = UPGRADE_DELAY
+    this.isUpgrade = false
+
+    this.reset(tier)
+  }
+
+  reset (tier) {
+    this.tier = tier
+    this.samples = []
+    this.fastTime = 0
+  }
+
+  /**
+   * Records a frame and returns the tier to switch to, or null to stay.
+   */
+  sample (delta) {
+    if (delta <= 0 || delta > MAX_FRAME_TIME) return null
+
+    this.samples.push(delta)
+
+    if (this.samples.length > WINDOW) {
+      this.samples.shift()
+    }
+
+    if (this.samples.length < WINDOW) return null
+
+    const average = this.samples.reduce((total, sample) => total + sample, 0) / WINDOW
+
+    if (average > DOWNGRADE_TIME && this.tier > 0) {
+      if (this.isUpgrade) {
+        this.delay = Math.min(this.delay * 2, MAX_UPGRADE_DELAY)
+      }
+
+      return this.change(this.tier - 1, false)
+    }
+
+    // A full window at this tier without slowing down confirms it.
+    this.isUpgrade = false
+
+    if (average < UPGRADE_TIME && this.tier < TIERS.length - 1) {
+      this.fastTime += delta
+
+      if (this.fastTime >= this.delay) {
+        return this.change(this.tier + 1, true)
+      }
+    } else {
+      this.fastTime = 0
+    }
+
+    return null
+  }
+
+  change (tier, isUpgrade) {
+    this.isUpgrade = isUpgrade
+
+    this.reset(tier)
+
+    return tier
+  }
+}
@@ -0,0 +1,272 @@
+import AutoBind from 'auto-bind'
+
+import Gallery from './Gallery'
+import Stage from './Stage'
+
+// The root the gallery lays its figures out in goes to the named slot, the
+// source images to the default one, which is never displayed.
+const TEMPLATE = `
+  <style>
+    :host {
+      display: block;
+      height: 100vh;
+      overflow: hidden;
+      position: relative;
+    }
+
+    :host([hidden]) {
+      display: none;
+    }
+
+    .images {
+      display: none;
+    }
+  </style>
+  <slot name="gallery"></slot>
+  <div class="images"><slot></slot></div>
+`
+
+// Attributes that only take effect by rebuilding the gallery.
+const REBUILD_ATTRIBUTES = ['orientation', 'effect']
+
+// Every element on the page draws through one stage, as browsers limit how
+// many WebGL contexts a page can hold.
+let stage = null
+
+function getStage () {
+  if (!stage) {
+    stage = new Stage()
+  }
+
+  return stage
+}
+
+function releaseStage () {
+  if (stage && !stage.galleries.length) {
+    stage.destroy()
+    stage = null
+  }
+}
+
+/**
+ * `<infinite-gallery>` custom element, a gallery of its `<img>` children
+ * drawn in its own box of the page:
+ *
+ *   <infinite-gallery orientation="horizontal" speed="2" effect="rgb-shift">
+ *     <img data-src="1.jpg" width="1600" height="1067" alt="Dunes at dusk">
+ *   </infinite-gallery>
+ *
+ * Images take `data-src` and `data-srcset`, so the browser leaves their
+ * loading to the gallery instead of downloading them all up front.
+ *
+ * `orientation`, `speed` and `effect`, a space separated list of effects or
+ * 'none', are reflected as properties and follow changes at runtime, as do
+ * the images. Dispatches 'select' and 'scroll' as `CustomEvent`s, with the
+ * gallery's event as `detail`.
+ */
+export default class InfiniteGallery extends HTMLElement {
+  static get observedAttributes () {
+    return ['orientation', 'speed', 'effect']
+  }
+
+  constructor () {
+    super()
+
+    // Binding everything would also rebind the methods of HTMLElement.
+    AutoBind(this, { include: ['onScroll', 'onSelect', 'onSlotChange'] })
+
+    this.gallery = null
+
+    this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE
+
+    this.imagesSlot = this.shadowRoot.querySelector('slot:not([name])')
+  }
+
+  /**
+   * Properties.
+   */
+  get orientation () {
+    return this.getAttribute('orientation') || 'vertical'
+  }
+
+  set orientation (value) {
+    this.setAttribute('orientation', value)
+  }
+
+  get speed () {
+    const speed = parseFloat(this.getAttribute('speed'))
+
+    return isNaN(speed) ? 2 : speed
+  }
+
+  set speed (value) {
+    this.setAttribute('speed', value)
+  }
+
+  get effect () {
+    return this.getAttribute('effect') || ''
+  }
+
+  set effect (value) {
+    this.setAttribute('effect', value)
+  }
+
+  /**
+   * Items.
+   */
+  getImages () {
+    return this.imagesSlot.assignedElements().filter(element => element.tagName === 'IMG')
+  }
+
+  getItems () {
+    return this.images.map(image => ({
+      alt: image.alt,
+      caption: image.dataset.caption,
+      credit: image.dataset.credit,
+      height: Number(image.getAttribute('height')) || undefined,
+      src: image.dataset.src || image.src,
+      srcset: image.dataset.srcset || image.getAttribute('srcset') || undefined,
+      width: Number(image.getAttribute('width')) || undefined
+    }))
+  }
+
+  getOptions () {
+    const options = {
+      container: this,
+      items: this.getItems(),
+      label: this.getAttribute('aria-label') || 'Gallery',
+      orientation: this.orientation,
+      speed: this.speed,
+      stage: getStage()
+    }
+
+    if (this.hasAttribute('effect')) {
+      options.effects = this.effect === 'none' ? [] : this.effect.split(/[\s,]+/).filter(Boolean)
+    }
+
+    return options
+  }
+
+  /**
+   * Gallery.
+   */
+  create () {
+    this.images = this.getImages()
+
+    if (!this.images.length) return
+
+    this.root = document.createElement('div')
+    this.root.slot = 'gallery'
+
+    Object.assign(this.root.style, {
+      height: '100%',
+      left: 0,
+      position: 'absolute',
+      top: 0,
+      width: '100%'
+    })
+
+    this.appendChild(this.root)
+
+    this.gallery = new Gallery(this.root, this.getOptions())
+
+    this.gallery.on('select', this.onSelect)
+    this.gallery.on('scroll', this.onScroll)
+  }
+
+  /**
+   * Builds the gallery again, keeping the item on screen.
+   */
+  rebuild () {
+    const media = this.gallery && this.gallery.getCurrentMedia()
+
+    this.destroy()
+    this.create()
+
+    if (media && this.gallery && media.index < this.gallery.medias.length) {
+      this.gallery.goTo(media.index, true)
+    }
+  }
+
+  destroy () {
+    if (!this.gallery) return
+
+    this.gallery.destroy()
+    this.gallery = null
+
+    this.root.remove()
+  }
+
+  /**
+   * Events.
+   */
+  onSelect (item) {
+    this.dispatchEvent(new CustomEvent('select', {
+      bubbles: true,
+      detail: {
+        ...item,
+        image: this.images[item.index]
+      }
+    }))
+  }
+
+  onScroll (event) {
+    this.dispatchEvent(new CustomEvent('scroll', {
+      detail: event
+    }))
+  }
+
+  onSlotChange () {
+    if (!this.isConnected) return
+
+    if (!this.gallery) {
+      this.create()
+
+      return
+    }
+
+    const images = this.getImages()
+
+    // Slots also change when other children come and go.
+    if (images.length === this.images.length && images.every((image, index) => image === this.images[index])) return
+
+    this.images = images
+
+    if (this.images.length) {
+      this.gallery.setItems(this.getItems())
+    } else {
+      this.destroy()
+    }
+  }
+
+  /**
+   * Lifecycle.
+   */
+  connectedCallback () {
+    this.imagesSlot.addEventListener('slotchange', this.onSlotChange)
+
+    this.create()
+  }
+
+  disconnectedCallback () {
+    this.imagesSlot.removeEventListener('slotchange', this.onSlotChange)
+
+    this.destroy()
+
+    releaseStage()
+  }
+
+  attributeChangedCallback (name, previous, value) {
+    if (!this.gallery || previous === value) return
+
+    if (REBUILD_ATTRIBUTES.includes(name)) {
+      this.rebuild()
+    } else if (name === 'speed') {
+      this.gallery.setSpeed(this.speed)
+    }
+  }
+}
+
+if (!window.customElements.get('infinite-gallery')) {
+  window.customElements.define('infinite-gallery', InfiniteGallery)
+}
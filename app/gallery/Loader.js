@@ -0,0 +1,120 @@
+import EventEmitter from 'utils/EventEmitter'
+
+// Number of requests kept once settled, so an image preloaded by the page is
+// still there, decoded, when its texture asks for it.
+const CACHE_SIZE = 32
+
+/**
+ * Loads the assets of a gallery: its textures, placeholders and anything the
+ * page preloads through it. Everything asking for the same image shares one
+ * request, the most recent ones staying cached. Requests taking longer than
+ * `timeout` fail, and every settled request emits 'progress' with
+ * `{ loaded, failed, total, progress }`.
+ */
+export default class Loader extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Number} options.timeout Milliseconds before a request fails, 0 to wait forever.
+   */
+  constructor ({ timeout = 0 } = {}) {
+    super()
+
+    this.timeout = timeout
+    this.requests = new Map()
+
+    this.loaded = 0
+    this.failed = 0
+    this.total = 0
+  }
+
+  /**
+   * Resolves to the decoded image.
+   */
+  load (src) {
+    const cached = this.requests.get(src)
+
+    if (cached) {
+      // Moves it last, the most recently used.
+      this.requests.delete(src)
+      this.requests.set(src, cached)
+
+      return cached
+    }
+
+    const image = new Image()
+
+    const request = this.add(src, new Promise((resolve, reject) => {
+      image.onload = _ => resolve(image)
+      image.onerror = _ => reject(new Error(`Failed to load image "${src}".`))
+      image.src = src
+    }), _ => image.removeAttribute('src'))
+
+    // Failed requests are dropped, to be tried again.
+    request.catch(_ => {
+      if (this.requests.get(src) === request) this.requests.delete(src)
+    })
+
+    this.requests.set(src, request)
+
+    while (this.requests.size > CACHE_SIZE) {
+      this.requests.delete(this.requests.keys().next().value)
+    }
+
+    return request
+  }
+
+  /**
+   * Tracks a request made elsewhere, like a video's, as one more asset.
+   * `onTimeout` is called to abort it when it takes too long.
+   */
+  add (src, promise, onTimeout) {
+    this.total += 1
+
+    this.emitProgress()
+
+    const request = new Promise((resolve, reject) => {
+      const timeout = this.timeout && window.setTimeout(_ => {
+        if (onTimeout) onTimeout()
+
+        reject(new Error(`Timed out loading "${src}".`))
+      }, this.timeout)
+
+      promise.then(value => {
+        window.clearTimeout(timeout)
+
+        resolve(value)
+      }, error => {
+        window.clearTimeout(timeout)
+
+        reject(error)
+      })
+    })
+
+    request.then(_ => {
+      this.loaded += 1
+
+      this.emitProgress()
+    }, _ => {
+      this.failed += 1
+
+      this.emitProgress()
+    })
+
+    return request
+  }
+
+  getProgress () {
+    const { failed, loaded, total } = this
+
+    return {
+      failed,
+      loaded,
+      progress: total ? (loaded + failed) / total : 1,
+      total
+    }
+  }
+
+  emitProgress () {
+    this.emit('progress', this.getProgress())
+  }
+}
@@ -0,0 +1,841 @@
+import { Mesh, Program, Texture } from 'ogl'
+
+import { hexToRgb } from 'utils/color'
+import { deleteTexture } from 'utils/gl'
+import { lerp, mod } from 'utils/math'
+
+import AnimatedImage from './AnimatedImage'
+import Caption from './Caption'
+import { getRenditions, pickRendition } from './sources'
+
+// Placeholder color for items without a `data-color`, close to the page background.
+const PLACEHOLDER_COLOR = [0.08, 0.08, 0.08]
+
+// Share of the remaining fade-in covered every frame once a texture is uploaded.
+const FADE_EASE = 0.1
+
+// Share of the remaining appear and layout transitions covered every frame.
+const TRANSITION_EASE = 0.08
+
+// Below this, in world units, transitions end, so the plane can come to rest.
+const TRANSITION_REST = 0.001
+
+export default class Media {
+  constructor ({ batch, caption, crossLength, effects, element, fallback, geometry, gl, index, length, loader, orientation, scene, screen, shaders, viewport }) {
+    this.element = element
+    this.video = this.element.querySelector('video')
+    this.image = this.video ? null : this.element.querySelector('img')
+    this.asset = this.video || this.image
+    this.index = index
+
+    this.alt = this.image ? this.image.alt : this.video.getAttribute('aria-label') || ''
+    this.source = this.getSource()
+    this.isAnimated = Boolean(this.image) && ('animated' in this.image.dataset || /\.gif($|\?)/i.test(this.source))
+    this.renditions = this.image && !this.isAnimated ? getRenditions(this.image) : []
+    this.rendition = null
+    this.isPlaying = false
+    this.state = 'idle'
+    this.fade = 0
+
+    this.extra = 0
+    this.loop = 0
+    this.crossExtra = 0
+    this.crossLoop = 0
+    this.isVisible = false
+
+    this.alpha = 1
+    this.appearance = 1
+    this.expansion = 0
+    this.isFocused = false
+    this.transition = { x: 0, y: 0 }
+
+    this.batch = batch
+    this.crossLength = crossLength
+    this.effects = effects
+    this.fallback = fallback
+    this.length = length
+    this.loader = loader
+    this.geometry = geometry
+    this.gl = gl
+    this.isGrid = orientation === 'grid'
+    this.isHorizontal = orientation !== 'vertical'
+    this.orientation = orientation
+    this.scene = scene
+    this.screen = screen
+    this.shaders = shaders
+    this.viewport = viewport
+
+    this.createMesh()
+    this.createBounds()
+
+    if (caption) {
+      this.createCaption(caption)
+    }
+
+    const placeholder = this.asset.dataset.placeholder || (this.video && this.video.getAttribute('poster'))
+
+    if (placeholder) {
+      this.loadPlaceholder(placeholder)
+    }
+
+    this.onResize()
+  }
+
+  getSource () {
+    if (this.asset.dataset.src) return this.asset.dataset.src
+    if (this.image) return this.image.src
+
+    const source = this.video.querySelector('source')
+
+    return this.video.getAttribute('src') || (source ? source.getAttribute('src') : '')
+  }
+
+  /**
+   * The `data-color` of the figure or its asset, shown until anything loads.
+   */
+  getColor () {
+    const { color } = this.element.dataset.color ? this.element.dataset : this.asset.dataset
+
+    return color ? hexToRgb(color) : PLACEHOLDER_COLOR
+  }
+
+  createMesh () {
+    this.texture = this.createTexture()
+    this.placeholder = this.createTexture()
+
+    const program = new Program(this.gl, {
+      fragment: this.shaders.fragment,
+      vertex: this.shaders.vertex,
+      uniforms: {
+        tMap: { value: this.texture },
+        tPlaceholder: { value: this.placeholder },
+        uPlaneSizes: { value: [0, 0] },
+        uImageSizes: { value: [Number(this.asset.getAttribute('width')) || 1, Number(this.asset.getAttribute('height')) || 1] },
+        uViewportSizes: { value: [this.viewport.width, this.viewport.height] },
+        uEffects: { value: 1 },
+        uTime: { value: 0 },
+        uVelocity: { value: [0, 0] },
+        uAlpha: { value: 1 },
+        uFocus: { value: 0 },
+        uLoaded: { value: 0 },
+        uHasPlaceholder: { value: 0 },
+        uColor: { value: this.getColor() },
+        ...this.effects.reduce((uniforms, effect) => ({ ...uniforms, ...(effect.uniforms && effect.uniforms(this.gl)) }), {})
+      },
+      transparent: true
+    })
+
+    this.plane = new Mesh(this.gl, {
+      geometry: this.geometry,
+      program
+    })
+
+    this.plane.setParent(this.scene)
+  }
+
+  createCaption (options) {
+    this.caption = new Caption({
+      element: this.element,
+      geometry: this.geometry,
+      gl: this.gl,
+      index: this.index,
+      options,
+      program: this.plane.program,
+      scene: this.scene,
+      shaders: this.shaders
+    })
+  }
+
+  createTexture () {
+    return new Texture(this.gl, {
+      generateMipmaps: false
+    })
+  }
+
+  /**
+   * Loading.
+   */
+  loadImage (src) {
+    return this.loader.load(src)
+  }
+
+  /**
+   * Resolves once the first frame can be drawn. Videos play from a detached
+   * element, muted so browsers allow them to autoplay.
+   */
+  loadVideo (video, src) {
+    return new Promise((resolve, reject) => {
+      video.loop = true
+      video.muted = true
+      video.playsInline = true
+      video.preload = 'auto'
+
+      video.onloadeddata = _ => resolve(video)
+      video.onerror = _ => reject(new Error(`Failed to load video "${src}".`))
+      video.src = src
+    })
+  }
+
+  /**
+   * Resolves to what the texture is uploaded from: an image, a video, or the
+   * canvas an animated image is played onto. Animated images stay still
+   * where `ImageDecoder` isn't supported.
+   */
+  loadSource () {
+    if (this.video) {
+      this.player = document.createElement('video')
+
+      return this.loader.add(this.source, this.loadVideo(this.player, this.source), _ => this.release())
+    }
+
+    if (this.isAnimated && window.ImageDecoder) {
+      this.animation = new AnimatedImage(this.source)
+
+      return this.loader.add(this.source, this.animation.load(), _ => this.release())
+    }
+
+    return this.loadImage(this.source)
+  }
+
+  /**
+   * A low resolution version shown until the real texture arrives; it is
+   * small, so it is kept for the lifetime of the item and never evicted.
+   */
+  loadPlaceholder (src) {
+    this.loadImage(src).then(image => {
+      if (this.isDestroyed) return
+
+      const { uniforms } = this.plane.program
+
+      if (this.state !== 'loaded') {
+        uniforms.uImageSizes.value = [image.naturalWidth, image.naturalHeight]
+      }
+
+      uniforms.uHasPlaceholder.value = 1
+
+      this.placeholder.image = image
+    }).catch(_ => {})
+  }
+
+  /**
+   * The rendition covering the plane at its size on screen, at `dpr`
+   * device pixels per pixel, or null for items without renditions.
+   */
+  getRendition (dpr) {
+    if (!this.renditions.length) return null
+
+    const width = this.plane.scale.x * this.screen.width / this.viewport.width
+    const height = this.plane.scale.y * this.screen.height / this.viewport.height
+    const [imageWidth, imageHeight] = this.size || [Number(this.asset.getAttribute('width')) || width, Number(this.asset.getAttribute('height')) || height]
+
+    return pickRendition(this.renditions, Math.max(width, height * imageWidth / imageHeight) * dpr)
+  }
+
+  load (dpr = 1) {
+    if (this.state !== 'idle') return this.request
+
+    this.state = 'loading'
+    this.rendition = this.getRendition(dpr)
+
+    if (this.rendition) {
+      this.source = this.rendition.src
+    }
+
+    const request = this.loadSource().then(source => {
+      if (this.isDestroyed || this.request !== request) return
+
+      this.state = 'loaded'
+      this.size = [
+        source.naturalWidth || source.videoWidth || source.width,
+        source.naturalHeight || source.videoHeight || source.height
+      ]
+
+      this.upload(source)
+    }, error => {
+      if (this.request === request) {
+        this.state = 'error'
+
+        this.loadFallback()
+      }
+
+      throw error
+    })
+
+    this.request = request
+
+    return this.request
+  }
+
+  /**
+   * Shows the gallery's fallback image in place of one that failed, until
+   * it is unloaded and the real one tried again.
+   */
+  loadFallback () {
+    if (!this.fallback) return
+
+    this.fallback.then(image => {
+      if (this.isDestroyed || this.state !== 'error') return
+
+      this.state = 'loaded'
+      this.rendition = null
+      this.size = [image.naturalWidth, image.naturalHeight]
+
+      this.upload(image)
+    }).catch(_ => {})
+  }
+
+  /**
+   * Swaps in a larger rendition once the plane outgrows the loaded one, as
+   * when it is opened or the window grows, keeping the current texture until
+   * it arrives. Never steps down.
+   */
+  upgrade (dpr) {
+    if (this.state !== 'loaded' || !this.rendition || this.upgrading) return
+
+    const rendition = this.getRendition(dpr)
+
+    if (!rendition || rendition.width <= this.rendition.width) return
+
+    const request = this.request
+
+    this.upgrading = this.loader.load(rendition.src).then(image => {
+      if (this.isDestroyed || this.request !== request || this.state !== 'loaded') return
+
+      this.rendition = rendition
+      this.source = rendition.src
+      this.size = [image.naturalWidth, image.naturalHeight]
+
+      this.upload(image)
+    }).catch(_ => {
+      // Keep the smaller rendition rather than retrying every frame.
+      this.renditions = this.renditions.filter(item => item !== rendition)
+    }).then(_ => {
+      this.upgrading = null
+    })
+  }
+
+  upload (source) {
+    this.plane.program.uniforms.uImageSizes.value = this.size
+
+    this.texture.image = source
+  }
+
+  /**
+   * Uploads the current frame of a video or animation.
+   */
+  refresh () {
+    this.texture.needsUpdate = true
+  }
+
+  /**
+   * Stops and drops the video or animation behind the texture, if any.
+   */
+  release () {
+    if (this.player) {
+      this.player.pause()
+      this.player.removeAttribute('src')
+      this.player.load()
+    }
+
+    if (this.animation) {
+      this.animation.destroy()
+    }
+
+    this.player = null
+    this.animation = null
+    this.isPlaying = false
+  }
+
+  /**
+   * Frees the GPU copy of the texture, falling back to the placeholder until
+   * the item is loaded again.
+   */
+  unload () {
+    if (this.state === 'idle' || this.state === 'error') return
+
+    this.release()
+
+    deleteTexture(this.gl, this.texture)
+
+    this.state = 'idle'
+    this.fade = 0
+
+    this.texture = this.createTexture()
+    this.request = null
+
+    this.plane.program.uniforms.tMap.value = this.texture
+  }
+
+  /**
+   * Approximate GPU memory used by the texture in bytes, as RGBA without mipmaps.
+   */
+  getBytes () {
+    return this.state === 'loaded' ? this.size[0] * this.size[1] * 4 : 0
+  }
+
+  /**
+   * Distance, in world units, between the plane and the edge of the
+   * viewport along the scroll axis, or the farther of both axes in a grid.
+   * Measured around the loop, so a plane about to wrap in from the other side
+   * counts as close.
+   */
+  getDistance () {
+    const distance = this.getAxisDistance(this.isHorizontal ? 'x' : 'y', this.length)
+
+    return this.isGrid ? Math.max(distance, this.getAxisDistance('y', this.crossLength)) : distance
+  }
+
+  getAxisDistance (axis, length) {
+    const viewport = axis === 'x' ? this.viewport.width : this.viewport.height
+    const position = mod(this.plane.position[axis] + length / 2, length) - length / 2
+
+    return Math.max(Math.abs(position) - this.plane.scale[axis] / 2 - viewport / 2, 0)
+  }
+
+  /**
+   * Bounds are relative to the gallery's screen, its container or the window.
+   */
+  createBounds () {
+    const { height, left, top, width } = this.element.getBoundingClientRect()
+
+    this.placement = null
+
+    this.bounds = {
+      height,
+      left: left - this.screen.left,
+      top: top - this.screen.top,
+      width
+    }
+
+    this.updateScale()
+    this.updateX()
+    this.updateY()
+  }
+
+  updateScale () {
+    this.plane.scale.x = this.viewport.width * this.bounds.width / this.screen.width
+    this.plane.scale.y = this.viewport.height * this.bounds.height / this.screen.height
+  }
+
+  /**
+   * `extra` is the accumulated wrap offset along the scroll axis, positive in
+   * the direction items travel while scrolling forward (left on X, up on Y).
+   * Grids wrap on Y as well, with `crossExtra`.
+   */
+  updateX (x = 0) {
+    const extra = this.isHorizontal ? this.extra : 0
+
+    this.plane.position.x = (-(this.viewport.width / 2) + (this.plane.scale.x / 2) + ((this.bounds.left - x) / this.screen.width) * this.viewport.width) + extra
+  }
+
+  updateY (y = 0) {
+    const extra = this.isGrid ? this.crossExtra : this.isHorizontal ? 0 : this.extra
+
+    this.plane.position.y = ((this.viewport.height / 2) - (this.plane.scale.y / 2) - ((this.bounds.top - y) / this.screen.height) * this.viewport.height) - extra
+  }
+
+  updatePosition (scroll = 0, cross = 0) {
+    if (this.isHorizontal) {
+      this.updateX(scroll)
+      this.updateY(cross)
+    } else {
+      this.updateX()
+      this.updateY(scroll)
+    }
+  }
+
+  /**
+   * Sets the wrap offsets directly so the plane sits at its copy nearest the
+   * center of the viewport, instead of catching up one loop per frame.
+   */
+  place (scroll, cross = 0) {
+    const axis = this.isHorizontal ? 'x' : 'y'
+
+    this.extra = 0
+    this.crossExtra = 0
+    this.placement = null
+
+    this.updateScale()
+    this.updatePosition(scroll, cross)
+
+    const position = this.plane.position[axis]
+    const wrapped = mod(position + this.length / 2, this.length) - this.length / 2
+
+    this.extra = this.isHorizontal ? wrapped - position : position - wrapped
+    this.loop = Math.round(this.extra / this.length)
+
+    if (this.isGrid) {
+      const { y } = this.plane.position
+
+      this.crossExtra = y - (mod(y + this.crossLength / 2, this.crossLength) - this.crossLength / 2)
+      this.crossLoop = Math.round(this.crossExtra / this.crossLength)
+    }
+
+    this.updatePosition(scroll, cross)
+  }
+
+  /**
+   * Returns 1 when the plane has left the viewport on the side it is moving
+   * towards while scrolling forward along an axis, -1 for the same while
+   * scrolling backward, and 0 otherwise.
+   */
+  getWrap (axis, sign) {
+    const planeOffset = this.plane.scale[axis] / 2
+    const viewportOffset = (axis === 'x' ? this.viewport.width : this.viewport.height) / 2
+
+    const isBefore = this.plane.position[axis] + planeOffset < -viewportOffset
+    const isAfter = this.plane.position[axis] - planeOffset > viewportOffset
+
+    // Items leave past the left edge on X but past the top edge on Y.
+    const isPast = axis === 'x' ? isBefore : isAfter
+    const isAhead = axis === 'x' ? isAfter : isBefore
+
+    if (sign > 0 && isPast) return 1
+    if (sign < 0 && isAhead) return -1
+
+    return 0
+  }
+
+  /**
+   * `cross` is the second scroll of grids, along Y.
+   */
+  update (scroll, direction, state, cross = null) {
+    const crossCurrent = cross ? cross.current : 0
+
+    if (!this.isAtRest(scroll.current, crossCurrent)) {
+      this.updatePlacement(scroll, direction, cross)
+    }
+
+    this.updateEffects(state)
+    this.updatePlayback(state)
+
+    if (this.caption) {
+      this.caption.update(this)
+    }
+
+    this.fade = this.state === 'loaded' ? lerp(this.fade, 1, FADE_EASE) : 0
+
+    this.render()
+  }
+
+  /**
+   * Whether the plane can stay where the last frame left it: the scroll and
+   * the layout haven't changed, and nothing animated it then or does now.
+   */
+  isAtRest (scroll, cross) {
+    const { placement } = this
+
+    return Boolean(placement) && placement.scroll === scroll && placement.cross === cross && this.isSettled()
+  }
+
+  isSettled () {
+    return this.appearance === 1 && !this.transition.x && !this.transition.y && !this.expansion
+  }
+
+  /**
+   * Sizes and positions the plane for the frame, wrapping it around the loop.
+   */
+  updatePlacement (scroll, direction, cross) {
+    const crossCurrent = cross ? cross.current : 0
+
+    this.updateScale()
+    this.updatePosition(scroll.current, crossCurrent)
+
+    const sign = direction === 'forward' ? 1 : direction === 'backward' ? -1 : 0
+    const wrap = this.getWrap(this.isHorizontal ? 'x' : 'y', sign)
+
+    if (wrap) {
+      this.extra += this.length * wrap
+      this.loop += wrap
+
+      this.updatePosition(scroll.current, crossCurrent)
+    }
+
+    const crossWrap = cross ? this.getWrap('y', Math.sign(cross.current - cross.last)) : 0
+
+    if (crossWrap) {
+      this.crossExtra += this.crossLength * crossWrap
+      this.crossLoop += crossWrap
+
+      this.updatePosition(scroll.current, crossCurrent)
+    }
+
+    this.isVisible = (
+      Math.abs(this.plane.position.x) - this.plane.scale.x / 2 < this.viewport.width / 2 &&
+      Math.abs(this.plane.position.y) - this.plane.scale.y / 2 < this.viewport.height / 2
+    )
+
+    this.updateTransition()
+    this.updateExpansion()
+
+    this.placement = this.isSettled() ? { cross: crossCurrent, scroll: scroll.current } : null
+  }
+
+  /**
+   * Hands the frame's state to the shaders. `uPlaneSizes` follows the
+   * scale so the fragment shader crop stays cover-fit while expanding.
+   */
+  render () {
+    const { uniforms } = this.plane.program
+
+    uniforms.uPlaneSizes.value = [this.plane.scale.x, this.plane.scale.y]
+    uniforms.uViewportSizes.value = [this.viewport.width, this.viewport.height]
+    uniforms.uAlpha.value = this.alpha * this.appearance
+    uniforms.uLoaded.value = this.fade
+    uniforms.uFocus.value = this.isFocused ? 1 : 0
+  }
+
+  updateEffects (state) {
+    const { uniforms } = this.plane.program
+
+    uniforms.uEffects.value = state.hasEffects ? 1 : 0
+    uniforms.uTime.value = state.time
+    uniforms.uVelocity.value = [state.velocityX / state.screen.width, state.velocityY / state.screen.height]
+
+    if (!state.hasEffects) return
+
+    this.effects.forEach(effect => {
+      if (effect.update) effect.update(uniforms, state, this)
+    })
+  }
+
+  /**
+   * Videos and animations only play, and only re-upload their texture, while
+   * the plane is on screen.
+   */
+  updatePlayback (state) {
+    const delta = this.time ? (state.time - this.time) * 1000 : 0
+
+    this.time = state.time
+
+    if (this.state !== 'loaded') return
+
+    if (!this.isVisible) {
+      this.pause()
+
+      return
+    }
+
+    if (this.player) {
+      this.play()
+
+      if (!this.player.paused && this.player.readyState >= this.player.HAVE_CURRENT_DATA) {
+        this.refresh()
+      }
+    }
+
+    if (this.animation && this.animation.update(delta)) {
+      this.refresh()
+    }
+  }
+
+  play () {
+    if (!this.player || this.isPlaying) return
+
+    this.isPlaying = true
+
+    // Autoplay can still be refused, e.g. in power saving modes.
+    this.player.play().catch(_ => {})
+  }
+
+  pause () {
+    if (!this.player || !this.isPlaying) return
+
+    this.isPlaying = false
+
+    this.player.pause()
+  }
+
+  /**
+   * Scroll position, in pixels, at which the plane is aligned to the start,
+   * center or end of the screen before any wrapping; copies repeat every
+   * gallery length from there. `isCross` measures along a grid's Y axis.
+   */
+  getOffset (align = 'center', isCross = false) {
+    const isHorizontal = this.isHorizontal && !isCross
+    const start = isHorizontal ? this.bounds.left : this.bounds.top
+    const size = isHorizontal ? this.bounds.width : this.bounds.height
+    const screen = isHorizontal ? this.screen.width : this.screen.height
+
+    if (align === 'start') return start
+    if (align === 'end') return start + size - screen
+
+    return start + size / 2 - screen / 2
+  }
+
+  /**
+   * Eases planes that were just added in from nothing, and planes moved by a
+   * layout change from where they were towards their new slot.
+   */
+  updateTransition () {
+    this.appearance = lerp(this.appearance, 1, TRANSITION_EASE)
+
+    this.transition.x = lerp(this.transition.x, 0, TRANSITION_EASE)
+    this.transition.y = lerp(this.transition.y, 0, TRANSITION_EASE)
+
+    if (1 - this.appearance < TRANSITION_REST) this.appearance = 1
+    if (Math.abs(this.transition.x) < TRANSITION_REST) this.transition.x = 0
+    if (Math.abs(this.transition.y) < TRANSITION_REST) this.transition.y = 0
+
+    this.plane.scale.x *= this.appearance
+    this.plane.scale.y *= this.appearance
+
+    this.plane.position.x += this.transition.x
+    this.plane.position.y += this.transition.y
+  }
+
+  /**
+   * Moves the plane from its slot towards covering the whole viewport.
+   */
+  updateExpansion () {
+    if (this.expansion > 0) {
+      this.plane.scale.x = lerp(this.plane.scale.x, this.viewport.width, this.expansion)
+      this.plane.scale.y = lerp(this.plane.scale.y, this.viewport.height, this.expansion)
+
+      this.plane.position.x = lerp(this.plane.position.x, 0, this.expansion)
+      this.plane.position.y = lerp(this.plane.position.y, 0, this.expansion)
+    }
+
+    this.plane.renderOrder = this.expansion > 0 ? 1 : 0
+  }
+
+  /**
+   * Mirrors the vertex shader effects, returning the Z offset applied at a
+   * point. The camera is never rotated, so view space X/Y match world X/Y here.
+   */
+  getDisplacement (x, y) {
+    const { uniforms } = this.plane.program
+
+    if (!uniforms.uEffects.value) return 0
+
+    return this.effects.reduce((z, effect) => effect.displace ? z + effect.displace(x, y, uniforms, this) : z, 0)
+  }
+
+  /**
+   * Intersects a ray with the displaced plane, refining the hit a few times
+   * since the displacement depends on where the ray lands. Returns the hit distance.
+   */
+  intersect (origin, direction) {
+    if (!this.plane.parent || direction.z === 0) return null
+
+    let x = 0
+    let y = 0
+    let z = 0
+    let distance = 0
+
+    for (let i = 0; i < 3; i++) {
+      distance = (this.plane.position.z + z - origin.z) / direction.z
+
+      x = origin.x + direction.x * distance
+      y = origin.y + direction.y * distance
+      z = this.getDisplacement(x, y)
+    }
+
+    const isInside = (
+      Math.abs(x - this.plane.position.x) <= this.plane.scale.x / 2 &&
+      Math.abs(y - this.plane.position.y) <= this.plane.scale.y / 2
+    )
+
+    return isInside && distance > 0 ? distance : null
+  }
+
+  /**
+   * Events.
+   */
+  onResize (sizes) {
+    this.extra = 0
+    this.loop = 0
+    this.crossExtra = 0
+    this.crossLoop = 0
+
+    if (sizes) {
+      const { crossLength, length, screen, viewport } = sizes
+
+      if (crossLength) this.crossLength = crossLength
+      if (length) this.length = length
+      if (screen) this.screen = screen
+      if (viewport) this.viewport = viewport
+    }
+
+    this.createBounds()
+
+    if (this.caption) {
+      this.caption.onResize(this.bounds.width)
+    }
+  }
+
+  setGeometry (geometry) {
+    this.geometry = geometry
+    this.plane.geometry = geometry
+
+    if (this.caption) {
+      this.caption.mesh.geometry = geometry
+    }
+  }
+
+  /**
+   * Rebuilds the GL side after the context was lost and restored: the old
+   * program and textures went with it, the loaded images did not.
+   */
+  restore (gl, geometry) {
+    const source = this.texture.image
+    const placeholder = this.placeholder.image
+
+    this.plane.setParent(null)
+
+    this.gl = gl
+    this.geometry = geometry
+
+    this.createMesh()
+
+    const { uniforms } = this.plane.program
+
+    if (placeholder) {
+      this.placeholder.image = placeholder
+
+      uniforms.uHasPlaceholder.value = 1
+      uniforms.uImageSizes.value = [placeholder.naturalWidth, placeholder.naturalHeight]
+    }
+
+    if (source) {
+      this.texture.image = source
+
+      uniforms.uImageSizes.value = this.size
+    }
+
+    this.restoreCaption()
+  }
+
+  restoreCaption () {
+    if (!this.caption) return
+
+    this.caption.mesh.setParent(null)
+
+    this.createCaption(this.caption.options)
+    this.caption.onResize(this.bounds.width)
+  }
+
+  /**
+   * Destroy.
+   */
+  destroy () {
+    this.isDestroyed = true
+
+    this.plane.setParent(null)
+
+    this.effects.forEach(effect => {
+      if (effect.destroy) effect.destroy(this.plane.program.uniforms, this.gl)
+    })
+
+    this.plane.program.remove()
+
+    if (this.caption) {
+      this.caption.destroy()
+    }
+
+    this.release()
+
+    deleteTexture(this.gl, this.texture)
+    deleteTexture(this.gl, this.placeholder)
+  }
+}
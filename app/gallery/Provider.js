@@ -0,0 +1,38 @@
+/**
+ * Pages through an async item provider, a function called with a zero based
+ * page index that resolves to `{ items, hasMore }`.
+ */
+export default class Provider {
+  constructor (load) {
+    this.load = load
+
+    this.page = 0
+    this.hasMore = true
+    this.hasFailed = false
+    this.isLoading = false
+  }
+
+  canLoad () {
+    return this.hasMore && !this.hasFailed && !this.isLoading
+  }
+
+  next () {
+    this.isLoading = true
+    this.hasFailed = false
+
+    const page = this.page
+
+    return Promise.resolve(this.load(page)).then(({ items = [], hasMore = false } = {}) => {
+      this.page += 1
+      this.hasMore = hasMore
+      this.isLoading = false
+
+      return { page, items }
+    }, error => {
+      this.hasFailed = true
+      this.isLoading = false
+
+      throw error
+    })
+  }
+}
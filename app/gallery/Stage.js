@@ -0,0 +1,263 @@
+import { Renderer } from 'ogl'
+import AutoBind from 'auto-bind'
+
+/**
+ * OGL always draws to the whole canvas. While `rect` is set, this confines
+ * drawing to it instead, with the viewport and the scissor test, leaving
+ * render targets alone.
+ */
+class StageRenderer extends Renderer {
+  bindFramebuffer (options = {}) {
+    super.bindFramebuffer(options)
+
+    this.isCanvasBound = !options.buffer
+  }
+
+  setViewport (width, height) {
+    if (!this.rect || this.isCanvasBound === false) {
+      this.disable(this.gl.SCISSOR_TEST)
+
+      super.setViewport(width, height)
+
+      return
+    }
+
+    const x = Math.round(this.rect.left * this.dpr)
+    const y = Math.round((this.height - this.rect.top - this.rect.height) * this.dpr)
+    const rectWidth = Math.round(this.rect.width * this.dpr)
+    const rectHeight = Math.round(this.rect.height * this.dpr)
+
+    this.gl.viewport(x, y, rectWidth, rectHeight)
+    this.gl.scissor(x, y, rectWidth, rectHeight)
+
+    this.enable(this.gl.SCISSOR_TEST)
+
+    // Forget the cached size so the next full viewport is set again.
+    this.state.viewport.width = null
+    this.state.viewport.height = null
+  }
+}
+
+/**
+ * One WebGL context and full window canvas shared by any number of
+ * galleries, each drawn into the rect of its container. Runs the frame loop
+ * of its galleries while any of them is playing, and restores their GL
+ * resources after the context was lost.
+ *
+ * Galleries create a stage of their own unless one is passed as `stage`.
+ */
+export default class Stage {
+  /**
+   * @param {Object} options
+   * @param {Number} options.dpr Pixel ratio of the canvas, by default the device's up to 2.
+   */
+  constructor ({ dpr = Math.min(window.devicePixelRatio || 1, 2) } = {}) {
+    AutoBind(this)
+
+    this.dpr = dpr
+    this.galleries = []
+
+    this.frame = null
+    this.isContextLost = false
+    this.isDestroyed = false
+
+    this.createRenderer()
+
+    if (this.renderer) {
+      this.onResize()
+      this.addEventListeners()
+    }
+  }
+
+  /**
+   * Leaves `renderer` null when WebGL is unavailable.
+   */
+  createRenderer () {
+    try {
+      this.renderer = new StageRenderer({
+        alpha: true,
+        dpr: this.dpr
+      })
+    } catch (error) {
+      this.renderer = null
+    }
+
+    if (this.renderer && !this.renderer.gl) {
+      this.renderer = null
+    }
+
+    if (!this.renderer) return
+
+    this.gl = this.renderer.gl
+
+    // Rects are in window coordinates, so the canvas has to cover the window
+    // exactly, leaving input to the page underneath.
+    Object.assign(this.gl.canvas.style, {
+      height: '100%',
+      left: 0,
+      pointerEvents: 'none',
+      position: 'fixed',
+      top: 0,
+      width: '100%'
+    })
+
+    document.body.appendChild(this.gl.canvas)
+  }
+
+  /**
+   * Galleries.
+   */
+  add (gallery) {
+    this.galleries.push(gallery)
+
+    this.start()
+  }
+
+  remove (gallery) {
+    this.galleries = this.galleries.filter(item => item !== gallery)
+  }
+
+  setPixelRatio (dpr) {
+    this.dpr = dpr
+
+    if (!this.renderer) return
+
+    this.renderer.dpr = dpr
+
+    this.onResize()
+  }
+
+  /**
+   * Loop.
+   */
+  start () {
+    if (this.frame !== null || this.isContextLost || this.isDestroyed) return
+
+    this.frame = window.requestAnimationFrame(this.update)
+  }
+
+  stop () {
+    window.cancelAnimationFrame(this.frame)
+
+    this.frame = null
+  }
+
+  /**
+   * Clears the canvas and draws every gallery, updating those playing.
+   * Stops once none is, the last frame staying on the canvas.
+   */
+  update () {
+    this.frame = null
+
+    if (this.renderer) {
+      const { gl } = this
+
+      this.renderer.rect = null
+      this.renderer.disable(gl.SCISSOR_TEST)
+      this.renderer.setDepthMask(true)
+
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT)
+    }
+
+    this.galleries.forEach(gallery => {
+      if (gallery.isPaused) {
+        gallery.updateScreen()
+        gallery.render()
+      } else {
+        gallery.update()
+      }
+    })
+
+    if (this.renderer) {
+      this.renderer.rect = null
+    }
+
+    if (this.galleries.some(gallery => !gallery.isPaused)) {
+      this.start()
+    }
+  }
+
+  /**
+   * Limits drawing to a rect of the window, in CSS pixels.
+   */
+  setRect (rect) {
+    if (this.renderer) {
+      this.renderer.rect = rect
+    }
+  }
+
+  /**
+   * Events.
+   */
+  onResize () {
+    this.renderer.setSize(window.innerWidth, window.innerHeight)
+  }
+
+  onContextLost (event) {
+    event.preventDefault()
+
+    this.isContextLost = true
+
+    this.stop()
+
+    this.galleries.forEach(gallery => gallery.onContextLost())
+  }
+
+  onContextRestored () {
+    this.isContextLost = false
+
+    this.renderer = new StageRenderer({
+      alpha: true,
+      canvas: this.gl.canvas,
+      dpr: this.dpr
+    })
+
+    this.gl = this.renderer.gl
+
+    this.onResize()
+
+    this.galleries.forEach(gallery => gallery.onContextRestored())
+
+    this.start()
+  }
+
+  /**
+   * Listeners.
+   */
+  addEventListeners () {
+    window.addEventListener('resize', this.onResize)
+
+    this.gl.canvas.addEventListener('webglcontextlost', this.onContextLost)
+    this.gl.canvas.addEventListener('webglcontextrestored', this.onContextRestored)
+  }
+
+  removeEventListeners () {
+    window.removeEventListener('resize', this.onResize)
+
+    this.gl.canvas.removeEventListener('webglcontextlost', this.onContextLost)
+    this.gl.canvas.removeEventListener('webglcontextrestored', this.onContextRestored)
+  }
+
+  /**
+   * Destroy.
+   */
+  destroy () {
+    if (this.isDestroyed) return
+
+    this.isDestroyed = true
+
+    this.stop()
+
+    this.galleries.slice().forEach(gallery => gallery.destroy())
+
+    if (!this.renderer) return
+
+    this.removeEventListeners()
+
+    const extension = this.gl.getExtension('WEBGL_lose_context')
+
+    if (extension) extension.loseContext()
+
+    this.gl.canvas.remove()
+  }
+}
@@ -0,0 +1,14 @@
+precision highp float;
+
+uniform sampler2D tMap;
+
+uniform float uStrength;
+
+varying vec2 vUv;
+
+void main() {
+  vec2 centered = vUv - 0.5;
+  vec2 uv = 0.5 + centered * (1.0 - uStrength * dot(centered, centered));
+
+  gl_FragColor = texture2D(tMap, uv);
+}
@@ -0,0 +1,20 @@
+import { clamp } from 'utils/math'
+
+import fragment from './barrel.glsl'
+
+/**
+ * Bulges the whole frame out from the center while scrolling fast.
+ */
+export default {
+  type: 'post',
+
+  fragment,
+
+  uniforms: () => ({
+    uStrength: { value: 0 }
+  }),
+
+  update (uniforms, { screen, velocityX, velocityY }) {
+    uniforms.uStrength.value = clamp(0, 0.5, Math.hypot(velocityX, velocityY) / screen.width * 8)
+  }
+}
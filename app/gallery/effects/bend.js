@@ -0,0 +1,49 @@
+// Bend depth per pixel of scroll velocity, per screen width.
+const STRENGTH = {
+  grid: 5,
+  horizontal: 5,
+  vertical: 10
+}
+
+const BEND_X = '-abs(sin(newPosition.x / uViewportSizes.x * PI + PI / 2.0) * uBendStrength.x)'
+const BEND_Y = 'sin(newPosition.y / uViewportSizes.y * PI + PI / 2.0) * -uBendStrength.y'
+const BEND_XY = `${BEND_X} - abs(sin(newPosition.y / uViewportSizes.y * PI + PI / 2.0) * uBendStrength.y)`
+
+/**
+ * Curves the planes away from the camera as they scroll: along Y into a
+ * cylinder for vertical galleries, along X into an arch for horizontal ones,
+ * and into a bowl following both axes of a grid.
+ */
+export default {
+  type: 'plane',
+
+  vertex: {
+    head: 'uniform vec2 uBendStrength;',
+    main: ({ isGrid, isHorizontal }) => `newPosition.z += ${isGrid ? BEND_XY : isHorizontal ? BEND_X : BEND_Y};`
+  },
+
+  uniforms: () => ({
+    uBendStrength: { value: [0, 0] }
+  }),
+
+  update (uniforms, { orientation, screen, velocityX, velocityY }, media) {
+    const strength = STRENGTH[orientation] / screen.width * (1 - media.expansion)
+
+    uniforms.uBendStrength.value = [velocityX * strength, velocityY * strength]
+  },
+
+  displace (x, y, uniforms, media) {
+    const [strengthX, strengthY] = uniforms.uBendStrength.value
+    const bendX = -Math.abs(Math.sin(x / media.viewport.width * Math.PI + Math.PI / 2) * strengthX)
+
+    if (media.isGrid) {
+      return bendX - Math.abs(Math.sin(y / media.viewport.height * Math.PI + Math.PI / 2) * strengthY)
+    }
+
+    if (media.isHorizontal) {
+      return bendX
+    }
+
+    return Math.sin(y / media.viewport.height * Math.PI + Math.PI / 2) * -strengthY
+  }
+}
@@ -0,0 +1,21 @@
+precision highp float;
+
+#define SAMPLES 8
+
+uniform sampler2D tMap;
+
+uniform vec2 uDirection;
+
+varying vec2 vUv;
+
+void main() {
+  vec4 color = vec4(0.0);
+
+  for (int i = 0; i < SAMPLES; i++) {
+    float offset = float(i) / float(SAMPLES - 1) - 0.5;
+
+    color += texture2D(tMap, vUv + uDirection * offset);
+  }
+
+  gl_FragColor = color / float(SAMPLES);
+}
@@ -0,0 +1,18 @@
+import fragment from './blur.glsl'
+
+/**
+ * Smears the frame in the direction it scrolled, by the distance it moved.
+ */
+export default {
+  type: 'post',
+
+  fragment,
+
+  uniforms: () => ({
+    uDirection: { value: [0, 0] }
+  }),
+
+  update (uniforms, { screen, velocityX, velocityY }) {
+    uniforms.uDirection.value = [-velocityX / screen.width, velocityY / screen.height]
+  }
+}
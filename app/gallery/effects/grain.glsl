@@ -0,0 +1,24 @@
+precision highp float;
+
+uniform sampler2D tMap;
+uniform sampler2D tGrain;
+
+uniform vec2 uGrainSize;
+uniform vec2 uResolution;
+uniform float uStrength;
+uniform float uTime;
+
+varying vec2 vUv;
+
+void main() {
+  // Tiled by hand since the texture isn't a power of two, jumping every
+  // few frames like film does.
+  float frame = floor(uTime * 24.0);
+  vec2 offset = fract(vec2(frame * 0.37, frame * 0.71));
+  vec2 uv = fract(vUv * uResolution / uGrainSize + offset);
+
+  vec4 color = texture2D(tMap, vUv);
+  float grain = texture2D(tGrain, uv).r - 0.5;
+
+  gl_FragColor = vec4(color.rgb + grain * uStrength, color.a);
+}
@@ -0,0 +1,44 @@
+import { Texture } from 'ogl'
+
+import { deleteTexture } from 'utils/gl'
+
+import image from '../../../images/grain.png'
+
+import fragment from './grain.glsl'
+
+/**
+ * Overlays animated film grain, a little stronger while scrolling.
+ */
+export default {
+  type: 'post',
+
+  fragment,
+
+  uniforms: gl => {
+    const texture = new Texture(gl, {
+      generateMipmaps: false
+    })
+
+    const element = new window.Image()
+
+    element.onload = _ => {
+      texture.image = element
+    }
+
+    element.src = image
+
+    return {
+      tGrain: { value: texture },
+      uGrainSize: { value: [400, 400] },
+      uStrength: { value: 0 }
+    }
+  },
+
+  update (uniforms, { screen, velocityX, velocityY }) {
+    uniforms.uStrength.value = 0.06 + Math.min(Math.hypot(velocityX, velocityY) / screen.width * 2, 0.1)
+  },
+
+  destroy (uniforms, gl) {
+    deleteTexture(gl, uniforms.tGrain.value)
+  }
+}
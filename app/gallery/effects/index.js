@@ -0,0 +1,66 @@
+import barrel from './barrel'
+import bend from './bend'
+import blur from './blur'
+import grain from './grain'
+import rgbShift from './rgb-shift'
+import wave from './wave'
+
+const TYPES = ['plane', 'post']
+
+const registry = new Map()
+
+/**
+ * Makes an effect available to the `effects` option under a name.
+ *
+ * Plane effects add GLSL chunks to every plane's shaders: `vertex` and
+ * `fragment` are `{ head, main }`, each a string or a function of
+ * `{ orientation, isHorizontal, isGrid }`. Vertex chunks displace `newPosition` (view
+ * space), fragment chunks modify `color`. Post effects provide a complete
+ * `fragment` shader sampling `tMap`, run as one pass each in order.
+ *
+ * Both can declare `uniforms(gl)`, returning fresh OGL uniforms, and
+ * `update(uniforms, state, media)`, called every frame with `{ velocity,
+ * velocityX, velocityY, position, time, screen, viewport, orientation,
+ * isHorizontal, isGrid, quality, hasEffects }` to map the scroll onto them, and
+ * `destroy(uniforms, gl)` to free them. Batched galleries update plane effects
+ * once per frame, passing the `Batch` as the media. Shaders also get `uTime` in seconds
+ * and `uVelocity`, the screen space velocity in screens per frame.
+ * Plane effects moving planes along Z should also provide
+ * `displace(x, y, uniforms, media)`, mirroring the shader, so picking follows.
+ */
+export function registerEffect (name, effect) {
+  if (!TYPES.includes(effect.type)) {
+    throw new Error(`Gallery effect "${name}" must have a type of 'plane' or 'post'.`)
+  }
+
+  registry.set(name, effect)
+}
+
+export function getEffect (name) {
+  if (!registry.has(name)) {
+    throw new Error(`Unknown gallery effect "${name}".`)
+  }
+
+  return registry.get(name)
+}
+
+/**
+ * Fills the `// effects:head` and `// effects:main` markers of a shader
+ * template with the chunks of the given plane effects.
+ */
+export function compose (template, stage, effects, context) {
+  const resolve = chunk => typeof chunk === 'function' ? chunk(context) : chunk || ''
+
+  const chunks = effects.filter(effect => effect[stage]).map(effect => effect[stage])
+
+  return template
+    .replace('// effects:head', chunks.map(chunk => resolve(chunk.head)).join('\n'))
+    .replace('// effects:main', chunks.map(chunk => resolve(chunk.main)).join('\n'))
+}
+
+registerEffect('barrel', barrel)
+registerEffect('bend', bend)
+registerEffect('blur', blur)
+registerEffect('grain', grain)
+registerEffect('rgb-shift', rgbShift)
+registerEffect('wave', wave)
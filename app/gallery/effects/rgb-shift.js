@@ -0,0 +1,18 @@
+import fragment from './rgb-shift.glsl'
+
+/**
+ * Splits the red and blue channels horizontally with the scroll velocity.
+ */
+export default {
+  type: 'post',
+
+  fragment,
+
+  uniforms: () => ({
+    uStrength: { value: 0 }
+  }),
+
+  update (uniforms, { screen, velocity }) {
+    uniforms.uStrength.value = velocity / screen.width * 0.5
+  }
+}
@@ -0,0 +1,41 @@
+import { clamp } from 'utils/math'
+
+// Ripples per world unit along the scroll axis.
+const FREQUENCY = 1.5
+
+// Ripple speed, in radians per second.
+const SPEED = 4
+
+// Largest ripple depth in world units, reached at fast scroll speeds.
+const MAX_STRENGTH = 0.25
+
+/**
+ * Ripples the planes along the scroll axis, or diagonally across a grid,
+ * deeper the faster they move.
+ */
+export default {
+  type: 'plane',
+
+  vertex: {
+    head: 'uniform float uWaveStrength;',
+    main: ({ isGrid, isHorizontal }) => {
+      const position = isGrid ? '(newPosition.x + newPosition.y)' : isHorizontal ? 'newPosition.x' : 'newPosition.y'
+
+      return `newPosition.z += sin(${position} * ${FREQUENCY.toFixed(1)} + uTime * ${SPEED.toFixed(1)}) * uWaveStrength;`
+    }
+  },
+
+  uniforms: () => ({
+    uWaveStrength: { value: 0 }
+  }),
+
+  update (uniforms, { screen, velocityX, velocityY }, media) {
+    uniforms.uWaveStrength.value = clamp(0, MAX_STRENGTH, Math.hypot(velocityX, velocityY) / screen.width * 4) * (1 - media.expansion)
+  },
+
+  displace (x, y, uniforms, media) {
+    const position = media.isGrid ? x + y : media.isHorizontal ? x : y
+
+    return Math.sin(position * FREQUENCY + uniforms.uTime.value * SPEED) * uniforms.uWaveStrength.value
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Layout strategies place items from their aspect ratio, in pixels relative
+ * to the gallery root. They take the items, each with an optional `width`
+ * and `height`, and `{ columns, gap, height, isHorizontal, size, width }`,
+ * where `gap` and `size` are fractions of the cross axis. They return the
+ * rects and the length of one loop, including a trailing gap so the seam
+ * where it wraps is spaced like every other pair of items. A rect may carry
+ * its own `length` when its lane loops independently of the others.
+ */
+
+function getAspect ({ width = 1, height = 1 }) {
+  return width / height
+}
+
+/**
+ * Size along the scroll axis of an item with the given size across it.
+ */
+function getMainSize (item, crossSize, isHorizontal) {
+  const aspect = getAspect(item)
+
+  return isHorizontal ? crossSize * aspect : crossSize / aspect
+}
+
+function createRect (main, cross, mainSize, crossSize, isHorizontal) {
+  return isHorizontal
+    ? { left: main, top: cross, width: mainSize, height: crossSize }
+    : { left: cross, top: main, width: crossSize, height: mainSize }
+}
+
+/**
+ * Lays items out one after another along the scroll axis, centered on the
+ * cross axis.
+ */
+export function linear (items, { gap, height, isHorizontal, size, width }) {
+  const cross = isHorizontal ? height : width
+  const itemCross = cross * size
+  const spacing = cross * gap
+  const offset = (cross - itemCross) / 2
+
+  let position = 0
+
+  const rects = items.map(item => {
+    const itemMain = getMainSize(item, itemCross, isHorizontal)
+    const rect = createRect(position, offset, itemMain, itemCross, isHorizontal)
+
+    position += itemMain + spacing
+
+    return rect
+  })
+
+  return {
+    rects,
+    length: position
+  }
+}
+
+/**
+ * Splits the cross axis into `columns` equal lanes and drops every item into
+ * the shortest one. Each lane wraps on its own length, so no lane shows a
+ * hole at the seam where a shorter lane would otherwise run out.
+ */
+export function masonry (items, { columns, gap, height, isHorizontal, width }) {
+  const cross = isHorizontal ? height : width
+  const spacing = cross * gap
+  const laneCross = (cross - spacing * (columns - 1)) / columns
+  const lanes = new Array(columns).fill(0)
+
+  const rects = items.map(item => {
+    const lane = lanes.indexOf(Math.min(...lanes))
+    const itemMain = getMainSize(item, laneCross, isHorizontal)
+    const rect = createRect(lanes[lane], lane * (laneCross + spacing), itemMain, laneCross, isHorizontal)
+
+    lanes[lane] += itemMain + spacing
+
+    return { ...rect, lane }
+  })
+
+  rects.forEach(rect => {
+    rect.length = lanes[rect.lane]
+  })
+
+  return {
+    rects,
+    length: Math.max(0, ...lanes)
+  }
+}
+
+/**
+ * Zigzags between the two edges of the cross axis, each item starting
+ * halfway along the previous one, like the first demo. Both sides share one
+ * loop so the pattern stays intact across the seam.
+ */
+export function alternating (items, { gap, height, isHorizontal, size, width }) {
+  const cross = isHorizontal ? height : width
+  const itemCross = cross * size
+  const spacing = cross * gap
+  const offsets = [0, cross - itemCross]
+  const lanes = [0, 0]
+
+  let previous = 0
+
+  const rects = items.map((item, index) => {
+    const lane = index % 2
+    const itemMain = getMainSize(item, itemCross, isHorizontal)
+    const position = Math.max(lanes[lane], previous)
+    const rect = createRect(position, offsets[lane], itemMain, itemCross, isHorizontal)
+
+    lanes[lane] = position + itemMain + spacing
+    previous = position + itemMain / 2
+
+    return rect
+  })
+
+  return {
+    rects,
+    length: Math.max(...lanes)
+  }
+}
+
+/**
+ * Fills rows across the cross axis edge to edge, scaling each row so its
+ * items keep their aspect ratio. Rows aim for `size` of the cross axis in
+ * thickness; the last one keeps that thickness instead of being stretched.
+ */
+export function justified (items, { gap, height, isHorizontal, size, width }) {
+  const cross = isHorizontal ? height : width
+  const spacing = cross * gap
+  const thickness = cross * size
+  const rects = []
+
+  let position = 0
+  let row = []
+
+  // Size across the scroll axis per unit of row thickness.
+  const getRatio = item => isHorizontal ? 1 / getAspect(item) : getAspect(item)
+
+  const flush = isLast => {
+    const ratio = row.reduce((total, item) => total + getRatio(item), 0)
+    const available = cross - spacing * (row.length - 1)
+    const rowMain = isLast ? Math.min(thickness, available / ratio) : available / ratio
+
+    let offset = 0
+
+    row.forEach(item => {
+      const itemCross = getRatio(item) * rowMain
+
+      rects.push(createRect(position, offset, rowMain, itemCross, isHorizontal))
+
+      offset += itemCross + spacing
+    })
+
+    position += rowMain + spacing
+    row = []
+  }
+
+  items.forEach(item => {
+    row.push(item)
+
+    const ratio = row.reduce((total, item) => total + getRatio(item), 0)
+
+    if (ratio * thickness + spacing * (row.length - 1) >= cross) {
+      flush(false)
+    }
+  })
+
+  if (row.length) {
+    flush(true)
+  }
+
+  return {
+    rects,
+    length: position
+  }
+}
@@ -0,0 +1,44 @@
+precision highp float;
+
+uniform vec2 uImageSizes;
+uniform vec2 uPlaneSizes;
+uniform float uAlpha;
+uniform float uFocus;
+uniform float uLoaded;
+uniform float uHasPlaceholder;
+uniform vec3 uColor;
+uniform sampler2D tMap;
+uniform sampler2D tPlaceholder;
+uniform float uEffects;
+uniform float uTime;
+uniform vec2 uVelocity;
+
+varying vec2 vUv;
+
+// effects:head
+
+void main() {
+  vec2 ratio = vec2(
+    min((uPlaneSizes.x / uPlaneSizes.y) / (uImageSizes.x / uImageSizes.y), 1.0),
+    min((uPlaneSizes.y / uPlaneSizes.x) / (uImageSizes.y / uImageSizes.x), 1.0)
+  );
+
+  vec2 uv = vec2(
+    vUv.x * ratio.x + (1.0 - ratio.x) * 0.5,
+    vUv.y * ratio.y + (1.0 - ratio.y) * 0.5
+  );
+
+  vec2 point = vUv * uPlaneSizes;
+  float edge = min(min(point.x, uPlaneSizes.x - point.x), min(point.y, uPlaneSizes.y - point.y));
+  float outline = step(edge, 0.02) * uFocus;
+
+  vec3 placeholder = mix(uColor, texture2D(tPlaceholder, uv).rgb, uHasPlaceholder);
+  vec3 color = mix(placeholder, texture2D(tMap, uv).rgb, uLoaded);
+
+  if (uEffects > 0.5) {
+    // effects:main
+  }
+
+  gl_FragColor.rgb = mix(color, vec3(1.0), outline);
+  gl_FragColor.a = uAlpha;
+}
@@ -0,0 +1,55 @@
+precision highp float;
+
+uniform sampler2D tAtlas0;
+uniform sampler2D tAtlas1;
+uniform sampler2D tAtlas2;
+uniform sampler2D tAtlas3;
+uniform float uEffects;
+uniform float uTime;
+uniform vec2 uVelocity;
+
+varying vec2 vUv;
+varying vec2 vPlaneSizes;
+varying vec2 vImageSizes;
+varying vec4 vAtlas;
+varying vec3 vColor;
+
+// Alpha, loaded, focus and atlas page.
+varying vec4 vState;
+
+// effects:head
+
+vec3 sampleAtlas(vec2 uv) {
+  vec2 point = vAtlas.xy + uv * vAtlas.zw;
+
+  if (vState.w < 0.5) return texture2D(tAtlas0, point).rgb;
+  if (vState.w < 1.5) return texture2D(tAtlas1, point).rgb;
+  if (vState.w < 2.5) return texture2D(tAtlas2, point).rgb;
+
+  return texture2D(tAtlas3, point).rgb;
+}
+
+void main() {
+  vec2 ratio = vec2(
+    min((vPlaneSizes.x / vPlaneSizes.y) / (vImageSizes.x / vImageSizes.y), 1.0),
+    min((vPlaneSizes.y / vPlaneSizes.x) / (vImageSizes.y / vImageSizes.x), 1.0)
+  );
+
+  vec2 uv = vec2(
+    vUv.x * ratio.x + (1.0 - ratio.x) * 0.5,
+    vUv.y * ratio.y + (1.0 - ratio.y) * 0.5
+  );
+
+  vec2 point = vUv * vPlaneSizes;
+  float edge = min(min(point.x, vPlaneSizes.x - point.x), min(point.y, vPlaneSizes.y - point.y));
+  float outline = step(edge, 0.02) * vState.z;
+
+  vec3 color = mix(vColor, sampleAtlas(uv), vState.y);
+
+  if (uEffects > 0.5) {
+    // effects:main
+  }
+
+  gl_FragColor.rgb = mix(color, vec3(1.0), outline);
+  gl_FragColor.a = vState.x;
+}
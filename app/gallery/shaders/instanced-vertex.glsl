@@ -0,0 +1,48 @@
+#define PI 3.1415926535897932384626433832795
+
+precision highp float;
+precision highp int;
+
+attribute vec3 position;
+attribute vec2 uv;
+
+attribute vec3 aOffset;
+attribute vec2 aScale;
+attribute vec2 aImageSizes;
+attribute vec4 aAtlas;
+attribute vec3 aColor;
+attribute vec4 aState;
+
+uniform mat4 modelViewMatrix;
+uniform mat4 projectionMatrix;
+
+uniform float uEffects;
+uniform float uTime;
+uniform vec2 uVelocity;
+uniform vec2 uViewportSizes;
+
+varying vec2 vUv;
+varying vec2 vPlaneSizes;
+varying vec2 vImageSizes;
+varying vec4 vAtlas;
+varying vec3 vColor;
+varying vec4 vState;
+
+// effects:head
+
+void main() {
+  vec4 newPosition = modelViewMatrix * vec4(position * vec3(aScale, 1.0) + aOffset, 1.0);
+
+  if (uEffects > 0.5) {
+    // effects:main
+  }
+
+  vUv = uv;
+  vPlaneSizes = aScale;
+  vImageSizes = aImageSizes;
+  vAtlas = aAtlas;
+  vColor = aColor;
+  vState = aState;
+
+  gl_Position = projectionMatrix * newPosition;
+}
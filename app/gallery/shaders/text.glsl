@@ -0,0 +1,12 @@
+precision highp float;
+
+uniform sampler2D tMap;
+uniform float uAlpha;
+
+varying vec2 vUv;
+
+void main() {
+  vec4 text = texture2D(tMap, vUv);
+
+  gl_FragColor = vec4(text.rgb, text.a * uAlpha);
+}
@@ -9,15 +9,21 @@ attribute vec2 uv;
 uniform mat4 modelViewMatrix;
 uniform mat4 projectionMatrix;
 
-uniform float uStrength;
+uniform float uEffects;
+uniform float uTime;
+uniform vec2 uVelocity;
 uniform vec2 uViewportSizes;
 
 varying vec2 vUv;
 
+// effects:head
+
 void main() {
   vec4 newPosition = modelViewMatrix * vec4(position, 1.0);
 
-  newPosition.z += -abs(sin(newPosition.x / uViewportSizes.x * PI + PI / 2.0) * uStrength);
+  if (uEffects > 0.5) {
+    // effects:main
+  }
 
   vUv = uv;
 
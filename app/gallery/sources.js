@@ -0,0 +1,96 @@
+/**
+ * Responsive sources. An image's renditions come from the `<source>`
+ * elements of its `<picture>` and its own `srcset`, with width descriptors
+ * (also as `data-srcset`, to keep the browser from downloading them), or a
+ * `data-renditions` list of `{ src, width, type }` for generated items. The
+ * size of the plane on screen stands in for `sizes`.
+ */
+
+// Modern formats in order of preference, each with a one pixel image to
+// probe for support. Other types are assumed to be supported.
+const FORMATS = [
+  ['image/avif', 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A='],
+  ['image/webp', 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA']
+]
+
+const TYPES = FORMATS.map(([type]) => type)
+
+const supported = new Set()
+
+let detection = null
+
+/**
+ * Probes the modern formats once. Until it is done they count as
+ * unsupported, so the first textures may fall back to older ones.
+ */
+export function detectFormats () {
+  if (!detection) {
+    detection = Promise.all(FORMATS.map(([type, src]) => new Promise(resolve => {
+      const image = new Image()
+
+      image.onload = _ => {
+        if (image.width > 0) supported.add(type)
+
+        resolve()
+      }
+
+      image.onerror = _ => resolve()
+      image.src = src
+    })))
+  }
+
+  return detection
+}
+
+/**
+ * Reads the renditions with a width descriptor out of a `srcset`.
+ */
+export function parseSrcset (srcset, type = '') {
+  const renditions = []
+  const pattern = /,?(\S+)\s+(\d+)w/g
+
+  let match
+
+  while (srcset && (match = pattern.exec(srcset))) {
+    renditions.push({ src: match[1], type, width: Number(match[2]) })
+  }
+
+  return renditions
+}
+
+export function getRenditions (image) {
+  const { dataset } = image
+
+  if (dataset.renditions) return JSON.parse(dataset.renditions)
+
+  const picture = image.parentElement && image.parentElement.tagName === 'PICTURE' ? image.parentElement : null
+  const sources = picture ? Array.from(picture.querySelectorAll('source')) : []
+
+  return sources
+    .filter(source => !source.media || window.matchMedia(source.media).matches)
+    .reduce((renditions, source) => renditions.concat(parseSrcset(source.dataset.srcset || source.getAttribute('srcset'), source.type)), [])
+    .concat(parseSrcset(dataset.srcset || image.getAttribute('srcset')))
+}
+
+function getRank ({ type }) {
+  const index = TYPES.indexOf(type)
+
+  return index === -1 ? TYPES.length : index
+}
+
+/**
+ * Returns the smallest rendition at least `width` pixels wide, or the
+ * largest, in the most preferred supported format. Null without renditions.
+ */
+export function pickRendition (renditions, width) {
+  const candidates = renditions.filter(({ type }) => !TYPES.includes(type) || supported.has(type))
+
+  if (!candidates.length) return null
+
+  const rank = Math.min(...candidates.map(getRank))
+  const options = candidates
+    .filter(rendition => getRank(rendition) === rank)
+    .sort((a, b) => a.width - b.width)
+
+  return options.find(rendition => rendition.width >= width) || options[options.length - 1]
+}
@@ -1,27 +1,49 @@
-import One from './demo-1'
-import Two from './demo-2'
+import Gallery from './gallery/Gallery'
+import './gallery/InfiniteGallery'
 
-const demos = [One, Two]
-const demo = document.body.getAttribute('data-id')
+const demos = [
+  {
+    element: '.demo-1__gallery',
+    options: {
+      orientation: 'vertical',
+      selector: '.demo-1__gallery__figure',
+      label: 'Planete Elevene'
+    }
+  },
+  {
+    element: '.demo-2__gallery',
+    options: {
+      orientation: 'horizontal',
+      selector: '.demo-2__gallery__figure',
+      effects: ['bend', 'rgb-shift'],
+      label: 'Electric'
+    }
+  }
+]
 
-new demos[demo]()
+const demo = demos[document.body.getAttribute('data-id')]
 
-document.documentElement.classList.remove('no-js')
-document.documentElement.classList.add('js')
+const gallery = new Gallery(document.querySelector(demo.element), demo.options)
 
-const images = document.querySelectorAll('img:not([src*="https://tympanus.net/codrops/wp-content/banners/"])')
-let imagesIndex = 0
+const autoplay = document.querySelector('.frame__autoplay')
 
-Array.from(images).forEach(element => {
-  const image = new Image()
+// Reduced motion wins over the button, which says so instead of doing nothing.
+const updateAutoplay = ({ active, reducedMotion }) => {
+  autoplay.disabled = reducedMotion
+  autoplay.textContent = active ? 'Pause auto-scroll' : 'Play auto-scroll'
+  autoplay.title = reducedMotion ? 'Auto-scroll is off as your system asks for reduced motion.' : ''
+}
 
-  image.src = element.src
-  image.onload = _ => {
-    imagesIndex += 1
+autoplay.addEventListener('click', _ => gallery.setAutoScroll(!gallery.getAutoScroll().active))
 
-    if (imagesIndex === images.length) {
-      document.documentElement.classList.remove('loading')
-      document.documentElement.classList.add('loaded')
-    }
-  }
+gallery.on('autoscrollchange', updateAutoplay)
+
+updateAutoplay(gallery.getAutoScroll())
+
+gallery.once('ready', _ => {
+  document.documentElement.classList.remove('loading')
+  document.documentElement.classList.add('loaded')
 })
+
+document.documentElement.classList.remove('no-js')
+document.documentElement.classList.add('js')
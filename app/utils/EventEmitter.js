@@ -0,0 +1,44 @@
+export default class EventEmitter {
+  constructor () {
+    this.events = {}
+  }
+
+  on (event, callback) {
+    this.events[event] = this.events[event] || []
+    this.events[event].push(callback)
+
+    return this
+  }
+
+  once (event, callback) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper)
+
+      callback(...args)
+    }
+
+    return this.on(event, wrapper)
+  }
+
+  /**
+   * Removes a single callback, every callback of an event when no callback is
+   * given, or every callback of every event when called without arguments.
+   */
+  off (event, callback) {
+    if (!event) {
+      this.events = {}
+    } else if (!callback) {
+      delete this.events[event]
+    } else if (this.events[event]) {
+      this.events[event] = this.events[event].filter(listener => listener !== callback)
+    }
+
+    return this
+  }
+
+  emit (event, ...args) {
+    if (!this.events[event]) return
+
+    this.events[event].slice().forEach(callback => callback(...args))
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Converts a `#rgb` or `#rrggbb` string into normalized `[r, g, b]` values.
+ */
+export function hexToRgb (hex) {
+  let value = hex.replace('#', '')
+
+  if (value.length === 3) {
+    value = value.split('').map(character => character + character).join('')
+  }
+
+  const number = parseInt(value, 16)
+
+  return [
+    ((number >> 16) & 255) / 255,
+    ((number >> 8) & 255) / 255,
+    (number & 255) / 255
+  ]
+}
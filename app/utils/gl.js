@@ -0,0 +1,43 @@
+/**
+ * OGL has no disposal for textures and render targets, so these release the
+ * underlying WebGL objects directly.
+ */
+export function deleteTexture (gl, texture) {
+  if (!texture) return
+
+  gl.deleteTexture(texture.texture)
+
+  texture.texture = null
+}
+
+export function deleteRenderTarget (gl, target) {
+  if (!target) return
+
+  target.textures.forEach(texture => deleteTexture(gl, texture))
+
+  deleteTexture(gl, target.depthTexture)
+
+  if (target.depthBuffer) gl.deleteRenderbuffer(target.depthBuffer)
+  if (target.stencilBuffer) gl.deleteRenderbuffer(target.stencilBuffer)
+  if (target.depthStencilBuffer) gl.deleteRenderbuffer(target.depthStencilBuffer)
+
+  gl.deleteFramebuffer(target.buffer)
+}
+
+/**
+ * Uploads an image into a region of a texture, where OGL can only upload the
+ * whole of it. The texture must have been allocated, e.g. by `update()`.
+ */
+export function updateTextureRegion (gl, texture, image, x, y) {
+  const { renderer } = gl
+
+  renderer.activeTexture(0)
+  texture.bind()
+
+  if (renderer.state.flipY !== texture.flipY) {
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, texture.flipY)
+    renderer.state.flipY = texture.flipY
+  }
+
+  gl.texSubImage2D(texture.target, 0, x, y, texture.format, texture.type, image)
+}
@@ -1,3 +1,15 @@
 export function lerp (p1, p2, t) {
   return p1 + (p2 - p1) * t
 }
+
+export function clamp (min, max, value) {
+  return Math.min(Math.max(value, min), max)
+}
+
+export function easeInOutCubic (t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+}
+
+export function mod (value, length) {
+  return ((value % length) + length) % length
+}